@@ -17,6 +17,16 @@ import { Enemies } from './runtime/Enemies.js';
 import { Bullets } from './runtime/Bullets.js';
 import { Pickups } from './runtime/Pickups.js';
 import { Particles } from './runtime/Particles.js';
+import { Obstacles } from './runtime/Obstacles.js';
+import { Boss } from './runtime/Boss.js';
+import { BulletPatterns } from './runtime/BulletPatterns.js';
+import { EliteAffixes } from './runtime/EliteAffixes.js';
+import { Archetypes } from './runtime/Archetypes.js';
+import { Weapons } from './runtime/Weapons.js';
+import { Secondary } from './runtime/Secondary.js';
+import { Drones } from './runtime/Drones.js';
+import { Dash } from './runtime/Dash.js';
+import { ActiveSkills } from './runtime/ActiveSkills.js';
 import { Input } from './runtime/Input.js';
 import { UI } from './runtime/UI.js';
 
@@ -56,6 +66,7 @@ const Game = {
     
     // Load data
     await loadAllData();
+    Stats.checkStatHandlers();
     
     // Load save
     Save.load();
@@ -73,7 +84,7 @@ const Game = {
     // Register modules in State for cross-module access
     State.modules = {
       Save, Stats, Leveling, Items, Player, 
-      Enemies, Bullets, Pickups, Particles, UI,
+      Enemies, Bullets, Pickups, Particles, Obstacles, UI,
       Camera, World, SceneManager
     };
     
@@ -187,6 +198,9 @@ const Game = {
     // Update world (proximity spawning)
     World.update(dt);
     
+    // Update obstacles (hit feedback)
+    Obstacles.update(dt);
+    
     // Update player
     Player.update(dt, this.canvas, true); // true = exploration mode
     
@@ -196,11 +210,14 @@ const Game = {
       return;
     }
     
+    // Time dilation slows enemies and their shots
+    const enemyDt = dt * ActiveSkills.enemyTimeScale();
+    
     // Update enemies (pass camera offset)
-    Enemies.update(dt, this.canvas);
+    Enemies.update(enemyDt, this.canvas);
     
     // Update bullets
-    Bullets.update(dt, this.canvas);
+    Bullets.update(dt, this.canvas, enemyDt);
     
     // Update pickups
     Pickups.update(dt, this.canvas);
@@ -251,21 +268,33 @@ const Game = {
     // Draw pickups
     Pickups.draw(ctx);
     
+    // Draw boss telegraphs, elite pools and bomber zones under enemies
+    Boss.draw(ctx);
+    EliteAffixes.draw(ctx);
+    Archetypes.draw(ctx);
+    
     // Draw enemies
     Enemies.draw(ctx);
     
-    // Draw bullets
+    // Draw bullets, player beams / novas / missiles / mines and enemy beams
     Bullets.draw(ctx);
+    Weapons.draw(ctx);
+    Secondary.draw(ctx);
+    BulletPatterns.draw(ctx);
     
-    // Draw player
+    // Draw dash afterimages, skill pulses, player and companion drone
+    Dash.draw(ctx);
+    ActiveSkills.draw(ctx);
     Player.draw(ctx);
+    Drones.draw(ctx);
     
     // Draw particles
     Particles.draw(ctx);
     ctx.restore();
     
-    // Draw screen-space UI (minimap, etc)
+    // Draw screen-space UI (minimap, boss bar, etc)
     this.drawMinimap(ctx);
+    Boss.drawHUD(ctx, this.screenW);
   },
   
   // ========== MINIMAP ==========
@@ -533,7 +562,8 @@ const Game = {
     document.getElementById('deathDmg').textContent = this.formatNumber(State.run.stats.damageDealt);
     document.getElementById('deathTime').textContent = this.formatTime(State.run.stats.timeElapsed);
     document.getElementById('deathScrapEarned').textContent = Math.floor(State.run.scrapEarned * 0.5);
-    document.getElementById('deathXP').textContent = State.run.xpEarned;
+    const masteryXP = State.run.masteryXPEarned;
+    document.getElementById('deathXP').textContent = State.run.xpEarned + (masteryXP > 0 ? ` (+${masteryXP} mastery)` : '');
     
     this.showModal('deathModal');
   },
@@ -585,15 +615,31 @@ const Game = {
     // Show zone (exploration/depth)
     const layoutTag = zone?.layout ? ` ${zone.layout}` : '';
     const modsCount = Array.isArray(zone?.mods) ? zone.mods.length : 0;
-    const modsTag = modsCount > 0 ? ` +${modsCount}` : '';
+    const rewards = zone?.modRewards;
+    const rewardTag = rewards && (rewards.xp > 0 || rewards.quantity > 0 || rewards.rarity > 0)
+      ? ` (+${Math.round(rewards.xp * 100)}% XP · +${Math.round(rewards.quantity * 100)}% LOOT · +${Math.round(rewards.rarity * 100)}% RARITY)`
+      : '';
+    const modsTag = modsCount > 0 ? ` +${modsCount}${rewardTag}` : '';
     const zoneText = zone?.isBossZone ? `⚠️ BOSS${modsTag}` : `ZONE ${World.zoneIndex + 1}${layoutTag}${modsTag}`;
     document.getElementById('waveDisplay').textContent = zoneText;
     
-    // XP
-    const xpProgress = Leveling.getProgress();
-    const xpNeeded = Leveling.xpForLevel(State.meta.level);
-    document.getElementById('xpBar').style.width = (xpProgress * 100) + '%';
-    document.getElementById('xpText').textContent = `${State.meta.xp} / ${xpNeeded} XP`;
+    // Modifier chips (rebuilt only when the zone changes)
+    if (zone !== this.hudZone) {
+      this.hudZone = zone;
+      UI.renderZoneModifiers(zone);
+    }
+    
+    // XP (mastery track once the level cap is reached)
+    if (Leveling.isMaxLevel()) {
+      const mastery = State.meta.mastery;
+      document.getElementById('xpBar').style.width = (Leveling.getMasteryProgress() * 100) + '%';
+      document.getElementById('xpText').textContent = `MASTERY ${mastery.level} · ${mastery.xp} / ${Leveling.masteryXPForLevel(mastery.level)} XP`;
+    } else {
+      const xpProgress = Leveling.getProgress();
+      const xpNeeded = Leveling.xpForLevel(State.meta.level);
+      document.getElementById('xpBar').style.width = (xpProgress * 100) + '%';
+      document.getElementById('xpText').textContent = `${State.meta.xp} / ${xpNeeded} XP`;
+    }
     
     // HP
     const hpPct = (p.hp / p.maxHP) * 100;
@@ -606,6 +652,39 @@ const Game = {
     const shPct = p.maxShield > 0 ? (p.shield / p.maxShield) * 100 : 0;
     document.getElementById('shieldBar').style.width = shPct + '%';
     document.getElementById('shieldText').textContent = `${Math.ceil(p.shield)}/${Math.round(p.maxShield)}`;
+    
+    // Secondary ammo (bar fills while the next charge reloads)
+    const sec = p.secondary;
+    document.getElementById('secondaryBarWrap').style.display = sec ? '' : 'none';
+    if (sec) {
+      const full = p.secondaryAmmo >= sec.maxAmmo;
+      const reloadPct = full ? 100 : (p.secondaryReload / (sec.reload ?? 4)) * 100;
+      document.getElementById('secondaryBar').style.width = reloadPct + '%';
+      document.getElementById('secondaryText').textContent = `${sec.icon} ${p.secondaryAmmo}/${sec.maxAmmo}`;
+    }
+    
+    // Dash charges (bar fills while the next charge recharges)
+    const dash = p.dash;
+    if (dash) {
+      const full = p.dashCharge >= dash.charges;
+      document.getElementById('dashBar').style.width = (full ? 100 : (p.dashRecharge / dash.cooldown) * 100) + '%';
+      document.getElementById('dashText').textContent = `${p.dashCharge}/${dash.charges}`;
+    }
+    
+    // Active skill slots (rebuilt when learned skills change, overlay drains with the cooldown)
+    const slots = ActiveSkills.getSlots();
+    const slotKey = slots.map(s => (s ? `${s.id}:${s.rank}` : '-')).join(',');
+    if (slotKey !== this.hudSkills) {
+      this.hudSkills = slotKey;
+      UI.renderSkillBar(slots);
+    }
+    slots.forEach((s, i) => {
+      if (!s) return;
+      const left = ActiveSkills.cooldowns[s.id] || 0;
+      document.getElementById(`skillCd${i}`).style.height = (left / (s.spec.cooldown ?? 20)) * 100 + '%';
+      document.getElementById(`skillCdText${i}`).textContent = left > 0 ? Math.ceil(left) : '';
+      document.getElementById(`skillSlot${i}`).classList.toggle('running', !!ActiveSkills.effects[s.spec.type]);
+    });
   },
   
   showModal(id) {
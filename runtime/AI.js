@@ -0,0 +1,289 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// AI.js - Exploration Enemy Behaviour
+// ============================================================
+// State machine per enemy:
+//   patrol -> alert -> chase <-> strafe -> leash -> patrol
+// Aggro needs range (enemies.json aggroRadius) AND line of sight.
+// Enemies leash back to patrolOrigin when dragged too far or
+// when they lose sight of the player for too long.
+// Pack members (World packs) follow their leader in formation,
+// alert each other and spread out to flank the player.
+
+import { State } from './State.js';
+import { Collision } from './Collision.js';
+
+export const AI = {
+  getConfig() {
+    return State.data.config?.ai || {};
+  },
+
+  // Attach AI state to a freshly spawned enemy
+  init(e) {
+    if (!e.patrolOrigin) e.patrolOrigin = { x: e.x, y: e.y };
+    e.ai = {
+      state: 'patrol',
+      stateTime: 0,
+      hasLOS: false,
+      losTimer: 0,
+      lostSightTime: 0,
+      distToPlayer: Infinity,
+      strafeDir: (e.patrolAngle || 0) > Math.PI ? 1 : -1
+    };
+  },
+
+  setState(e, state) {
+    e.ai.state = state;
+    e.ai.stateTime = 0;
+  },
+
+  isAggro(e) {
+    const s = e.ai?.state;
+    return s === 'alert' || s === 'chase' || s === 'strafe';
+  },
+
+  // Force aggro (damage taken, pack alerts, etc.)
+  alert(e) {
+    if (!e.ai) this.init(e);
+    if (this.isAggro(e)) return false;
+    this.setState(e, 'alert');
+    e.ai.lostSightTime = 0;
+    if (e.packId) this.alertPack(e);
+    return true;
+  },
+
+  // Aggroing one pack member pulls the whole pack
+  alertPack(e) {
+    for (const m of State.enemies) {
+      if (m !== e && !m.dead && m.packId === e.packId) this.alert(m);
+    }
+  },
+
+  // Per-frame behaviour: sets e.vx / e.vy
+  update(e, dt) {
+    if (!e.ai) this.init(e);
+    const ai = e.ai;
+    const cfg = this.getConfig();
+    const p = State.player;
+
+    ai.stateTime += dt;
+    ai.distToPlayer = Math.hypot(p.x - e.x, p.y - e.y);
+
+    // Sight checks walk the obstacle grid: throttle them
+    ai.losTimer -= dt;
+    if (ai.losTimer <= 0) {
+      ai.hasLOS = Collision.lineOfSight(e.x, e.y, p.x, p.y);
+      ai.losTimer = cfg.losInterval ?? 0.2;
+    }
+
+    switch (ai.state) {
+      case 'patrol':
+        this.patrol(e, dt);
+        if (ai.distToPlayer < e.aggroRadius && ai.hasLOS) this.alert(e);
+        break;
+
+      case 'alert':
+        // Brief telegraph before engaging
+        e.vx *= 0.85;
+        e.vy *= 0.85;
+        if (ai.stateTime >= (cfg.alertTime ?? 0.4)) this.setState(e, 'chase');
+        break;
+
+      case 'chase':
+      case 'strafe':
+        if (this.shouldLeash(e, dt)) {
+          this.setState(e, 'leash');
+          break;
+        }
+        if (ai.state === 'chase') this.chase(e);
+        else this.strafe(e);
+        break;
+
+      case 'leash':
+        this.leash(e, dt);
+        break;
+    }
+  },
+
+  // Too far from home or out of sight for too long
+  shouldLeash(e, dt) {
+    const cfg = this.getConfig();
+    const ai = e.ai;
+    if (e.isBoss) return false;
+
+    ai.lostSightTime = ai.hasLOS ? 0 : ai.lostSightTime + dt;
+    if (ai.lostSightTime > (cfg.loseSightTime ?? 3)) return true;
+
+    const fromHome = Math.hypot(e.x - e.patrolOrigin.x, e.y - e.patrolOrigin.y);
+    return fromHome > (e.leashRadius ?? cfg.leashRadius ?? 900);
+  },
+
+  // Preferred combat distance (chargers want contact)
+  preferredRange(e) {
+    if (e.pattern === 'charge') return 0;
+    return e.attackRange * (this.getConfig().preferredRangeMult ?? 0.7);
+  },
+
+  chase(e) {
+    const p = State.player;
+    const cfg = this.getConfig();
+    const preferred = this.preferredRange(e);
+
+    // Pack members approach from their own flank slot
+    const flank = preferred > 0 ? this.flankPoint(e, preferred) : null;
+    const atFlank = !flank || Math.hypot(flank.x - e.x, flank.y - e.y) < (this.getPackConfig().flankTolerance ?? 80);
+
+    if (preferred > 0 && e.ai.distToPlayer <= preferred && e.ai.hasLOS && atFlank) {
+      this.setState(e, 'strafe');
+      return;
+    }
+
+    let speed = e.speed * (cfg.chaseSpeedMult ?? 1);
+    if (e.pattern === 'charge') speed *= 1.5;
+    if (e.pattern === 'dive' && e.ai.stateTime % 3 > 2) speed *= 2;
+    if (flank) this.moveToward(e, flank.x, flank.y, speed);
+    else this.moveToward(e, p.x, p.y, speed);
+
+    // Weaving movers keep their wobble while chasing
+    if (e.pattern === 'zigzag' || e.pattern === 'snake') {
+      const wobble = Math.sin(e.patternTime * 4) * e.speed * 0.6;
+      const d = e.ai.distToPlayer || 1;
+      e.vx += -(p.y - e.y) / d * wobble;
+      e.vy += (p.x - e.x) / d * wobble;
+    }
+  },
+
+  getPackConfig() {
+    return State.data.config?.packs || {};
+  },
+
+  // Spot around the player for this pack slot: the leader holds the
+  // centre, followers fan out to alternating sides (wide packs surround)
+  flankPoint(e, range) {
+    if (!e.packId || !(e.packSize > 1)) return null;
+    const p = State.player;
+    const anchor = e.packRole === 'leader' ? e : this.getLeader(e);
+    if (!anchor || anchor.dead) return null;
+    const arc = this.getPackConfig().flankArc ?? 4.2;
+    const step = Math.min(arc / (e.packSize - 1), Math.PI * 2 / e.packSize);
+    const slot = e.packSlot || 0;
+    const offset = (slot % 2 ? 1 : -1) * Math.ceil(slot / 2) * step;
+    const a = Math.atan2(anchor.y - p.y, anchor.x - p.x) + offset;
+    return { x: p.x + Math.cos(a) * range, y: p.y + Math.sin(a) * range };
+  },
+
+  // Circle the player at preferred range
+  strafe(e) {
+    const p = State.player;
+    const cfg = this.getConfig();
+    const preferred = this.preferredRange(e);
+    const d = e.ai.distToPlayer || 1;
+
+    if (d > preferred * 1.3 || !e.ai.hasLOS) {
+      this.setState(e, 'chase');
+      return;
+    }
+
+    const nx = (p.x - e.x) / d, ny = (p.y - e.y) / d;
+    const speed = e.speed * (cfg.strafeSpeedMult ?? 0.6);
+    const radial = Math.max(-1, Math.min(1, (d - preferred) / 60));
+    e.vx = (-ny * e.ai.strafeDir + nx * radial) * speed;
+    e.vy = (nx * e.ai.strafeDir + ny * radial) * speed;
+
+    // Flip direction now and then so strafes don't become orbits
+    if (e.ai.stateTime > 2.5) {
+      e.ai.strafeDir *= -1;
+      e.ai.stateTime = 0;
+    }
+  },
+
+  // Run home, recovering HP on the way
+  leash(e, dt) {
+    const cfg = this.getConfig();
+    const o = e.patrolOrigin;
+    this.moveToward(e, o.x, o.y, e.speed * (cfg.leashSpeedMult ?? 1.2));
+    e.hp = Math.min(e.maxHP, e.hp + e.maxHP * (cfg.leashHealPerSec ?? 0.25) * dt);
+
+    if (Math.hypot(e.x - o.x, e.y - o.y) < 20) {
+      this.setState(e, 'patrol');
+    }
+  },
+
+  // Pack leader while it is alive and still spawned (null otherwise)
+  getLeader(e) {
+    const leader = e.packLeader;
+    if (!leader || leader.dead || !State.enemies.includes(leader)) return null;
+    return leader;
+  },
+
+  // Idle movement around patrolOrigin
+  patrol(e, dt) {
+    const o = e.patrolOrigin;
+    const radius = e.patrolRadius || 0;
+
+    // Followers keep formation around a living leader
+    const leader = this.getLeader(e);
+    if (leader && leader !== e && e.packOffset) {
+      this.moveToward(e, leader.x + e.packOffset.x, leader.y + e.packOffset.y, e.speed * 0.8);
+      return;
+    }
+
+    switch (e.patrol) {
+      case 'circle':
+        e.patrolAngle += dt * 0.5;
+        this.moveToward(e,
+          o.x + Math.cos(e.patrolAngle) * radius,
+          o.y + Math.sin(e.patrolAngle) * radius,
+          e.speed * 0.6);
+        break;
+
+      case 'line':
+        e.patrolAngle += dt * 0.8;
+        this.moveToward(e, o.x + Math.sin(e.patrolAngle) * radius, o.y, e.speed * 0.6);
+        break;
+
+      case 'wander': {
+        // Random direction changes
+        if (Math.random() < dt * 0.5) {
+          e.vx = (Math.random() - 0.5) * e.speed;
+          e.vy = (Math.random() - 0.5) * e.speed;
+        }
+        // Stay near origin
+        if (Math.hypot(e.x - o.x, e.y - o.y) > radius) {
+          this.moveToward(e, o.x, o.y, e.speed * 0.5);
+        }
+        break;
+      }
+
+      default:
+        // Static: hold position
+        this.moveToward(e, o.x, o.y, e.speed * 0.5);
+    }
+  },
+
+  // Set velocity toward a point, easing off on arrival
+  moveToward(e, tx, ty, speed) {
+    const dx = tx - e.x, dy = ty - e.y;
+    const dist = Math.hypot(dx, dy);
+    if (dist < 2) {
+      e.vx = 0;
+      e.vy = 0;
+      return;
+    }
+    const s = speed * Math.min(1, dist / 40);
+    e.vx = (dx / dist) * s;
+    e.vy = (dy / dist) * s;
+  },
+
+  // Fire only when engaged, in range and with a clear shot
+  canShoot(e) {
+    const ai = e.ai;
+    if (!ai) return false;
+    if (ai.state !== 'chase' && ai.state !== 'strafe') return false;
+    return ai.hasLOS && ai.distToPlayer <= e.attackRange;
+  }
+};
+
+export default AI;
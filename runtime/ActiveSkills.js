@@ -0,0 +1,212 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// ACTIVESKILLS.js - Active Skills (Number Keys)
+// ============================================================
+// Skills with an "active" block in skills.json are learned like the
+// passives (Leveling.learnSkill) and take the next free slot in
+// State.meta.activeSlots; slot N fires on config activeSkills.keys[N].
+// Block values are rank 1, perRank adds for every further rank.
+//   overcharge   - % more damage / fire rate for duration
+//   emp          - pulse around the ship: damageMult x weapon damage,
+//                  status procs, erases enemy shots inside radius
+//   shield       - restores a share of maxShield + invulnerability
+//   timeDilation - enemies and their shots run at timeScale
+// Cooldowns and running effects reset with each zone (like Dash).
+
+import { State } from './State.js';
+import { Bullets } from './Bullets.js';
+import { Particles } from './Particles.js';
+
+const DEFAULT_KEYS = ['Digit1', 'Digit2', 'Digit3', 'Digit4'];
+
+export const ActiveSkills = {
+  cooldowns: {},    // skillId -> seconds left
+  effects: {},      // type -> { time, duration, spec } while running
+  pulses: [],       // EMP rings being drawn
+
+  getConfig() {
+    return State.data.config?.activeSkills || {};
+  },
+
+  getKeys() {
+    return this.getConfig().keys || DEFAULT_KEYS;
+  },
+
+  // Slot index for a key code (-1 if not a skill key)
+  keySlot(code) {
+    return this.getKeys().indexOf(code);
+  },
+
+  // Tree and definition of an active skill (null for passives)
+  getSkill(skillId) {
+    for (const [treeId, tree] of Object.entries(State.data.skills || {})) {
+      const skill = tree.skills?.[skillId];
+      if (skill?.active) return { treeId, skill };
+    }
+    return null;
+  },
+
+  // Active block values at a rank (rank 1 = block as written)
+  resolve(skill, rank) {
+    const { perRank = {}, ...spec } = skill.active;
+    for (const [key, value] of Object.entries(perRank)) {
+      spec[key] = (spec[key] ?? 0) + value * (rank - 1);
+    }
+    return spec;
+  },
+
+  // Learned active skills in key order (null = empty slot)
+  getSlots() {
+    const assigned = State.meta.activeSlots || [];
+    return this.getKeys().map((code, i) => {
+      const found = assigned[i] ? this.getSkill(assigned[i]) : null;
+      const rank = found ? State.meta.skills[found.treeId]?.[assigned[i]] || 0 : 0;
+      if (rank <= 0) return null;
+      return { id: assigned[i], skill: found.skill, rank, spec: this.resolve(found.skill, rank), code };
+    });
+  },
+
+  // First free slot for a newly learned active skill
+  assignSlot(skillId) {
+    if (!this.getSkill(skillId)) return;
+    const slots = State.meta.activeSlots || (State.meta.activeSlots = []);
+    if (slots.includes(skillId)) return;
+    const free = this.getKeys().findIndex((code, i) => !slots[i]);
+    if (free !== -1) slots[free] = skillId;
+  },
+
+  // Free the slot of an active skill that was refunded to rank 0
+  releaseSlot(skillId) {
+    const slots = State.meta.activeSlots || [];
+    const i = slots.indexOf(skillId);
+    if (i !== -1) slots[i] = null;
+  },
+
+  clear() {
+    this.cooldowns = {};
+    this.effects = {};
+    this.pulses = [];
+    State.input.skill = null;
+  },
+
+  // ========== MULTIPLIERS ==========
+
+  // Overcharge: more damage / fire rate (Weapons)
+  damageMult() {
+    return 1 + (this.effects.overcharge?.spec.damage ?? 0) / 100;
+  },
+
+  fireRateMult() {
+    return 1 + (this.effects.overcharge?.spec.fireRate ?? 0) / 100;
+  },
+
+  // Time dilation: dt scale for enemies and enemy bullets (main loop)
+  enemyTimeScale() {
+    const fx = this.effects.timeDilation;
+    return fx ? Math.max(0.1, Math.min(1, fx.spec.timeScale ?? 0.5)) : 1;
+  },
+
+  // ========== UPDATE ==========
+
+  update(dt) {
+    for (const id in this.cooldowns) {
+      this.cooldowns[id] -= dt;
+      if (this.cooldowns[id] <= 0) delete this.cooldowns[id];
+    }
+    for (const type in this.effects) {
+      this.effects[type].time -= dt;
+      if (this.effects[type].time <= 0) delete this.effects[type];
+    }
+    for (let i = this.pulses.length - 1; i >= 0; i--) {
+      this.pulses[i].life -= dt;
+      if (this.pulses[i].life <= 0) this.pulses.splice(i, 1);
+    }
+
+    // Key press is consumed whether or not the skill was ready
+    const slot = State.input.skill;
+    if (slot === null || slot === undefined) return;
+    State.input.skill = null;
+    const entry = this.getSlots()[slot];
+    if (entry && !this.cooldowns[entry.id]) this.activate(entry);
+  },
+
+  activate(entry) {
+    const p = State.player;
+    const spec = entry.spec;
+    const color = spec.color || '#ffffff';
+    this.cooldowns[entry.id] = spec.cooldown ?? 20;
+
+    switch (spec.type) {
+      case 'overcharge':
+      case 'timeDilation':
+        this.effects[spec.type] = { time: spec.duration ?? 5, duration: spec.duration ?? 5, spec };
+        break;
+      case 'emp':
+        this.emp(spec, color);
+        break;
+      case 'shield':
+        p.shield = Math.min(p.maxShield, p.shield + p.maxShield * (spec.restore ?? 0.6));
+        p.shieldRegenDelay = 0;
+        p.invulnTimer = Math.max(p.invulnTimer || 0, spec.invuln ?? 1);
+        break;
+    }
+
+    Particles.ring(p.x, p.y, color, 40);
+    Particles.text(p.x, p.y - 35, entry.skill.name.toUpperCase(), color, 14);
+  },
+
+  // Damage + status to enemies in radius, enemy shots inside are erased
+  emp(spec, color) {
+    const p = State.player;
+    const radius = spec.radius ?? 220;
+    const hit = {
+      damage: p.damage * (spec.damageMult ?? 2),
+      isCrit: false,
+      damageType: spec.damageType || null,
+      status: spec.status || null
+    };
+    for (const e of [...State.enemies]) {
+      if (e.dead || Math.hypot(e.x - p.x, e.y - p.y) > radius + e.size) continue;
+      Bullets.hitEnemy(e, e.x, e.y, hit);
+    }
+    for (let i = State.enemyBullets.length - 1; i >= 0; i--) {
+      const b = State.enemyBullets[i];
+      if (Math.hypot(b.x - p.x, b.y - p.y) > radius) continue;
+      Particles.sparks(b.x, b.y, color, 2);
+      State.enemyBullets.splice(i, 1);
+    }
+    this.pulses.push({ x: p.x, y: p.y, radius, life: 0.4, color });
+  },
+
+  // ========== DRAWING ==========
+
+  // World-space: EMP rings and auras of running effects
+  draw(ctx) {
+    const p = State.player;
+    for (const pulse of this.pulses) {
+      const t = 1 - pulse.life / 0.4;
+      ctx.globalAlpha = 1 - t;
+      ctx.strokeStyle = pulse.color;
+      ctx.lineWidth = 4;
+      ctx.beginPath();
+      ctx.arc(pulse.x, pulse.y, pulse.radius * (0.3 + 0.7 * t), 0, Math.PI * 2);
+      ctx.stroke();
+    }
+
+    for (const fx of Object.values(this.effects)) {
+      ctx.globalAlpha = 0.25 + 0.25 * Math.min(1, fx.time);
+      ctx.strokeStyle = fx.spec.color || '#ffffff';
+      ctx.lineWidth = 2;
+      ctx.setLineDash([6, 6]);
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, p.radius + 14, 0, Math.PI * 2 * (fx.time / fx.duration));
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+    ctx.globalAlpha = 1;
+  }
+};
+
+export default ActiveSkills;
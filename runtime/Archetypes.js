@@ -0,0 +1,226 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// ARCHETYPES.js - Special Enemy Behaviours
+// ============================================================
+// Enemies with a behavior block in enemies.json get extra logic
+// on top of the normal AI:
+//   bomber   - lobs bombs that leave damaging area-denial zones
+//   healer   - restores HP of the most hurt nearby allies
+//   cloaker  - nearly invisible until close, firing or hit
+//   summoner - calls in minions (tracked by World.activeEnemies)
+//   turret   - stationary (placed at chokepoints by MapGenerator)
+// Ticked from Enemies.update once the enemy is engaged.
+
+import { State } from './State.js';
+import { AI } from './AI.js';
+import { Enemies } from './Enemies.js';
+import { Player } from './Player.js';
+import { Particles } from './Particles.js';
+import { Collision } from './Collision.js';
+import { StatusEffects } from './StatusEffects.js';
+
+export const Archetypes = {
+  zones: [],    // Bomber area-denial zones
+  zoneStatusTimer: 0,   // Seconds until standing in a zone rolls its status again
+
+  getConfig() {
+    return State.data.config?.archetypes || {};
+  },
+
+  // Per-frame behaviour for one enemy
+  update(e, dt) {
+    const spec = e.behavior;
+    if (!e.behaviorState) e.behaviorState = { timer: spec.interval ?? 3, revealed: 0, beams: [] };
+    const st = e.behaviorState;
+
+    if (st.revealed > 0) st.revealed -= dt;
+    for (let i = st.beams.length - 1; i >= 0; i--) {
+      st.beams[i].life -= dt;
+      if (st.beams[i].life <= 0) st.beams.splice(i, 1);
+    }
+
+    if (!AI.isAggro(e) || e.ai.state === 'alert') return;
+
+    st.timer -= dt;
+    if (st.timer > 0) return;
+    st.timer = spec.interval ?? 3;
+
+    switch (spec.type) {
+      case 'bomber':
+        this.dropBomb(e, spec);
+        break;
+      case 'healer':
+        this.heal(e, spec);
+        break;
+      case 'summoner':
+        this.summon(e, spec);
+        break;
+    }
+  },
+
+  // ========== BOMBER ==========
+
+  // Lob a bomb at the player (clamped to range); it arms after a delay
+  dropBomb(e, spec) {
+    const p = State.player;
+    const range = spec.range ?? 320;
+    const d = Math.hypot(p.x - e.x, p.y - e.y);
+    if (d > range * 1.5) return;
+
+    const t = Math.min(1, range / (d || 1));
+    const delay = spec.delay ?? 1;
+    this.zones.push({
+      x: e.x + (p.x - e.x) * t,
+      y: e.y + (p.y - e.y) * t,
+      radius: spec.radius ?? 70,
+      delay,
+      maxDelay: delay,
+      life: spec.duration ?? 5,
+      maxLife: spec.duration ?? 5,
+      dps: e.damage * (spec.dpsMult ?? 0.8),
+      color: spec.color || '#ff6600',
+      damageType: spec.damageType || e.damageType,
+      status: spec.status
+    });
+  },
+
+  // Tick bomb zones (called once per frame from Enemies.update)
+  updateZones(dt) {
+    const p = State.player;
+    let statusZone = null;
+    this.zoneStatusTimer -= dt;
+    for (let i = this.zones.length - 1; i >= 0; i--) {
+      const z = this.zones[i];
+      if (z.delay > 0) {
+        z.delay -= dt;
+        if (z.delay <= 0) Particles.ring(z.x, z.y, z.color, z.radius);
+        continue;
+      }
+      z.life -= dt;
+      if (z.life <= 0) {
+        this.zones.splice(i, 1);
+        continue;
+      }
+      if (Math.hypot(p.x - z.x, p.y - z.y) < z.radius + p.radius) {
+        Player.takeDamage(z.dps * dt, z.damageType, { dot: true });
+        if (z.status && !statusZone) statusZone = z;
+      }
+    }
+
+    // Status rolls on entry, then once per zoneStatusInterval (overlapping zones don't stack rolls)
+    if (statusZone && this.zoneStatusTimer <= 0) {
+      this.zoneStatusTimer = this.getConfig().zoneStatusInterval ?? 1;
+      StatusEffects.applySpec(p, statusZone.status, statusZone.dps);
+    }
+  },
+
+  // ========== HEALER ==========
+
+  heal(e, spec) {
+    const radius = spec.radius ?? 240;
+    const targets = State.enemies
+      .filter(x => x !== e && !x.dead && x.hp < x.maxHP && Math.hypot(x.x - e.x, x.y - e.y) < radius)
+      .sort((a, b) => a.hp / a.maxHP - b.hp / b.maxHP)
+      .slice(0, spec.maxTargets ?? 3);
+
+    for (const t of targets) {
+      t.hp = Math.min(t.maxHP, t.hp + t.maxHP * (spec.healPct ?? 0.15));
+      e.behaviorState.beams.push({ target: t, life: 0.35 });
+      Particles.sparks(t.x, t.y, e.color, 6);
+    }
+  },
+
+  // ========== SUMMONER ==========
+
+  summon(e, spec) {
+    const alive = State.enemies.filter(x => !x.dead && x.summonerId === e.id).length;
+    const count = Math.min(spec.count ?? 2, (spec.max ?? 4) - alive);
+    const types = Array.isArray(spec.minions) ? spec.minions : [spec.minions || 'grunt'];
+    const ring = spec.spawnRadius ?? 70;
+
+    for (let i = 0; i < count; i++) {
+      const a = (i / count) * Math.PI * 2 + e.patternTime;
+      const minion = Enemies.spawn(types[i % types.length], e.x + Math.cos(a) * ring, e.y + Math.sin(a) * ring, false, false);
+      minion.level = e.level;
+      minion.patrolOrigin = { x: e.x, y: e.y };
+      Collision.resolveEntity(minion, minion.size);
+      State.modules?.World?.trackMinion?.(minion, e);
+      AI.alert(minion);
+      Particles.ring(minion.x, minion.y, e.color, 25);
+    }
+  },
+
+  // ========== CLOAKER ==========
+
+  // Firing or taking damage drops the cloak for a moment
+  reveal(e) {
+    if (e.behavior?.type !== 'cloaker') return;
+    if (!e.behaviorState) return;
+    e.behaviorState.revealed = e.behavior.revealTime ?? 1.2;
+  },
+
+  // Draw alpha: cloakers fade in as the player gets close
+  getAlpha(e) {
+    const spec = e.behavior;
+    if (spec?.type !== 'cloaker') return 1;
+    if (e.behaviorState?.revealed > 0) return 1;
+
+    const p = State.player;
+    const reveal = spec.revealRadius ?? 200;
+    const d = Math.hypot(p.x - e.x, p.y - e.y);
+    const minAlpha = spec.alpha ?? 0.06;
+    if (d >= reveal * 1.5) return minAlpha;
+    return Math.max(minAlpha, Math.min(1, (reveal * 1.5 - d) / (reveal * 0.5)));
+  },
+
+  clear() {
+    this.zones = [];
+    this.zoneStatusTimer = 0;
+  },
+
+  // ========== DRAWING ==========
+
+  // World-space: bomb zones (under enemies)
+  draw(ctx) {
+    for (const z of this.zones) {
+      if (z.delay > 0) {
+        // Landing telegraph
+        const progress = 1 - z.delay / z.maxDelay;
+        ctx.strokeStyle = `rgba(255, 140, 0, ${0.3 + progress * 0.5})`;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 6]);
+        ctx.beginPath();
+        ctx.arc(z.x, z.y, z.radius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        continue;
+      }
+      ctx.globalAlpha = 0.3 * Math.min(1, z.life / z.maxLife * 3);
+      ctx.fillStyle = z.color;
+      ctx.beginPath();
+      ctx.arc(z.x, z.y, z.radius, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.globalAlpha = 1;
+    }
+
+    // Healer beams
+    for (const e of State.enemies) {
+      const beams = e.behaviorState?.beams;
+      if (!beams?.length) continue;
+      ctx.strokeStyle = e.color;
+      ctx.lineWidth = 2;
+      for (const b of beams) {
+        ctx.globalAlpha = b.life / 0.35;
+        ctx.beginPath();
+        ctx.moveTo(e.x, e.y);
+        ctx.lineTo(b.target.x, b.target.y);
+        ctx.stroke();
+      }
+      ctx.globalAlpha = 1;
+    }
+  }
+};
+
+export default Archetypes;
@@ -0,0 +1,306 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// BOSS.js - Multi-Phase Boss Controller
+// ============================================================
+// Boss definitions live in enemies.json (bosses.*):
+//   phases[] - entered when HP drops to phase.hpPct; each phase
+//              sets a bulletPattern, speed, adds and arena hazards
+//   enrage   - after enrage.time seconds of combat the boss hits
+//              harder, fires faster and moves quicker
+// Attached by World.spawnBoss, ticked from Enemies.update.
+
+import { State } from './State.js';
+import { AI } from './AI.js';
+import { BulletPatterns } from './BulletPatterns.js';
+import { Enemies } from './Enemies.js';
+import { Obstacles } from './Obstacles.js';
+import { Particles } from './Particles.js';
+import { Collision } from './Collision.js';
+import { StatusEffects } from './StatusEffects.js';
+
+export const Boss = {
+  getConfig() {
+    return State.data.config?.boss || {};
+  },
+
+  // Attach controller state to a freshly spawned boss enemy
+  attach(enemy) {
+    const def = Enemies.getEnemyData(enemy.type) || {};
+    const phases = Array.isArray(def.phases) && def.phases.length > 0
+      ? [...def.phases].sort((a, b) => (b.hpPct ?? 1) - (a.hpPct ?? 1))
+      : [{ name: 'Assault', hpPct: 1 }];
+
+    enemy.boss = {
+      name: def.name || enemy.type,
+      phases,
+      phaseIndex: -1,
+      enrage: def.enrage || null,
+      enraged: false,
+      fightTime: 0,
+      fireTimer: 1,
+      addTimer: 0,
+      addWave: 0,
+      hazardTimer: 0,
+      telegraphs: [],
+      baseSpeed: enemy.speed,
+      baseDamage: enemy.damage
+    };
+    enemy.invulnerable = 0;
+
+    this.enterPhase(enemy, 0, true);
+    this.announce(`⚠️ ${enemy.boss.name.toUpperCase()} APPEARS!`);
+    return enemy;
+  },
+
+  announce(text) {
+    window.Game?.announce?.(text, 'boss');
+  },
+
+  // Switch to phase index (applies speed, invulnerability, on-enter adds)
+  enterPhase(e, index, silent = false) {
+    const b = e.boss;
+    const phase = b.phases[index];
+    b.phaseIndex = index;
+    b.fireTimer = phase.fireDelay ?? 1;
+    b.addTimer = 0;
+    b.hazardTimer = phase.hazards?.delay ?? 2;
+
+    e.speed = b.baseSpeed * (phase.speedMult ?? 1) * (b.enraged ? (b.enrage.speedMult ?? 1) : 1);
+    if (phase.color) e.color = phase.color;
+
+    if (silent) return;
+
+    e.invulnerable = phase.invulnerable ?? (this.getConfig().phaseInvulnerable ?? 1);
+    Particles.ring(e.x, e.y, e.color, e.size * 3);
+    Particles.explosion(e.x, e.y, e.color, 25, 200);
+    State.modules?.Camera?.triggerShake?.(8, 0.4);
+    this.announce(`PHASE ${index + 1}: ${(phase.name || '').toUpperCase()}`);
+  },
+
+  // Per-frame boss logic: phase checks, fire pattern, adds, hazards, enrage
+  update(e, dt) {
+    const b = e.boss;
+    if (!b) return;
+
+    if (e.invulnerable > 0) e.invulnerable -= dt;
+    this.updateTelegraphs(e, dt);
+
+    // HP threshold phases (can skip several on burst damage)
+    const hpPct = e.hp / e.maxHP;
+    let next = b.phaseIndex;
+    while (next + 1 < b.phases.length && hpPct <= (b.phases[next + 1].hpPct ?? 0)) next++;
+    if (next !== b.phaseIndex) this.enterPhase(e, next);
+
+    // Scripts only run once the fight has started
+    if (!AI.isAggro(e) || e.ai.state === 'alert') return;
+    b.fightTime += dt;
+
+    if (b.enrage && !b.enraged && b.fightTime >= (b.enrage.time ?? 120)) {
+      this.triggerEnrage(e);
+    }
+
+    const phase = b.phases[b.phaseIndex];
+
+    // Fire pattern
+    b.fireTimer -= dt * StatusEffects.fireRateMult(e);
+    if (b.fireTimer <= 0 && AI.canShoot(e)) {
+      const rate = b.enraged ? (b.enrage.fireRateMult ?? 1) : 1;
+      b.fireTimer = (phase.shootInterval ?? e.shootInterval) / rate;
+      BulletPatterns.fire(e, phase.bulletPattern || e.bulletPattern);
+    }
+
+    // Adds
+    if (phase.adds) {
+      b.addTimer -= dt;
+      if (b.addTimer <= 0) {
+        b.addTimer = phase.adds.interval ?? 10;
+        this.spawnAdds(e, phase.adds);
+      }
+    }
+
+    // Arena hazards
+    if (phase.hazards) {
+      b.hazardTimer -= dt;
+      if (b.hazardTimer <= 0) {
+        b.hazardTimer = phase.hazards.interval ?? 6;
+        this.spawnHazards(e, phase.hazards);
+      }
+    }
+  },
+
+  triggerEnrage(e) {
+    const b = e.boss;
+    const en = b.enrage;
+    b.enraged = true;
+    e.damage = b.baseDamage * (en.damageMult ?? 1.5);
+    e.speed *= en.speedMult ?? 1;
+    e.color = en.color || '#ff0000';
+    Particles.explosion(e.x, e.y, e.color, 30, 250);
+    State.modules?.Camera?.triggerShake?.(10, 0.5);
+    this.announce(`🔥 ${b.name.toUpperCase()} ENRAGED!`);
+  },
+
+  // ========== ADDS ==========
+
+  spawnAdds(e, spec) {
+    const cfg = this.getConfig();
+    const maxAdds = spec.max ?? cfg.maxAdds ?? 8;
+    const alive = State.enemies.filter(x => !x.dead && x.bossId === e.id).length;
+    const count = Math.min(spec.count ?? 2, maxAdds - alive);
+    if (count <= 0) return;
+
+    const types = Array.isArray(spec.type) ? spec.type : [spec.type || 'grunt'];
+    const ring = cfg.addSpawnRadius ?? 140;
+    // Rotate each wave by the golden angle so consecutive waves don't stack
+    const offset = e.boss.addWave++ * 2.39996;
+    for (let i = 0; i < count; i++) {
+      const a = (i / count) * Math.PI * 2 + offset;
+      const add = Enemies.spawn(types[i % types.length], e.x + Math.cos(a) * ring, e.y + Math.sin(a) * ring, false, false);
+      add.bossId = e.id;
+      add.level = e.level;
+      add.patrolOrigin = { x: e.x, y: e.y };
+      Collision.resolveEntity(add, add.size);
+      AI.alert(add);
+      Particles.ring(add.x, add.y, add.color, 30);
+    }
+  },
+
+  // ========== HAZARDS ==========
+
+  spawnHazards(e, spec) {
+    const zone = State.world?.currentZone;
+    if (!zone) return;
+    const p = State.player;
+    const count = spec.count ?? 3;
+
+    for (let i = 0; i < count; i++) {
+      // First strike lands on the player, the rest scatter around them
+      const a = Math.random() * Math.PI * 2;
+      const d = i === 0 ? 0 : 80 + Math.random() * (spec.scatter ?? 220);
+      const x = Math.max(0, Math.min(zone.width, p.x + Math.cos(a) * d));
+      const y = Math.max(0, Math.min(zone.height, p.y + Math.sin(a) * d));
+
+      if (spec.type === 'mines') {
+        this.dropMine(e, x, y, spec);
+      } else {
+        const delay = spec.delay ?? 1.2;
+        e.boss.telegraphs.push({
+          x, y,
+          radius: spec.radius ?? 80,
+          damage: e.damage * (spec.damageMult ?? 1),
+          timer: delay,
+          maxTimer: delay,
+          status: spec.status,
+          damageType: spec.damageType || 'thermal'
+        });
+      }
+    }
+  },
+
+  // Armed zone mine (uses the regular Obstacles mine logic)
+  dropMine(e, x, y, spec) {
+    const zone = State.world.currentZone;
+    const mine = {
+      x, y,
+      type: 'mine',
+      radius: 12,
+      rotation: 0,
+      destructible: true,
+      hp: 6,
+      damage: Math.round(e.damage * (spec.damageMult ?? 0.5)),
+      fromBoss: true
+    };
+    zone.obstacles.push(mine);
+    Collision.grid?.insert(mine);
+    if (spec.armed) Obstacles.triggerMine(mine, spec.fuse ?? 2);
+  },
+
+  // Impact markers count down, then explode (never hurt the boss itself)
+  updateTelegraphs(e, dt) {
+    const list = e.boss.telegraphs;
+    for (let i = list.length - 1; i >= 0; i--) {
+      const t = list[i];
+      t.timer -= dt;
+      if (t.timer > 0) continue;
+      list.splice(i, 1);
+      Obstacles.explode(t.x, t.y, t.radius, t.damage, { hitsPlayer: true, enemyMult: 0, color: e.color, status: t.status, damageType: t.damageType });
+    }
+  },
+
+  // ========== DRAWING ==========
+
+  // World-space: impact telegraphs and phase shield
+  draw(ctx) {
+    for (const e of State.enemies) {
+      if (e.dead || !e.boss) continue;
+
+      for (const t of e.boss.telegraphs) {
+        const progress = 1 - t.timer / t.maxTimer;
+        ctx.strokeStyle = `rgba(255, 60, 60, ${0.4 + progress * 0.5})`;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(t.x, t.y, t.radius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.fillStyle = `rgba(255, 40, 20, ${progress * 0.3})`;
+        ctx.beginPath();
+        ctx.arc(t.x, t.y, t.radius * progress, 0, Math.PI * 2);
+        ctx.fill();
+      }
+
+      if (e.invulnerable > 0) {
+        ctx.strokeStyle = 'rgba(150, 220, 255, 0.8)';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(e.x, e.y, e.size * 1.4, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+    }
+  },
+
+  // Screen-space: boss HP bar with phase markers and enrage timer
+  drawHUD(ctx, screenW) {
+    const e = State.enemies.find(x => !x.dead && x.boss);
+    if (!e) return;
+    const b = e.boss;
+
+    const barW = Math.min(520, screenW * 0.5);
+    const barH = 12;
+    const x = (screenW - barW) / 2;
+    const y = 34;
+    const pct = Math.max(0, e.hp / e.maxHP);
+
+    // Name + phase
+    ctx.font = 'bold 14px Orbitron';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = b.enraged ? '#ff3333' : '#ffffff';
+    ctx.fillText(`${b.name.toUpperCase()} · PHASE ${b.phaseIndex + 1}/${b.phases.length}`, screenW / 2, y - 8);
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(x, y, barW, barH);
+    ctx.fillStyle = e.invulnerable > 0 ? '#88ccff' : (b.enraged ? '#ff2222' : '#ff5533');
+    ctx.fillRect(x + 1, y + 1, (barW - 2) * pct, barH - 2);
+    ctx.strokeStyle = '#ff8866';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x, y, barW, barH);
+
+    // Phase threshold ticks
+    ctx.fillStyle = '#ffffff';
+    for (let i = 1; i < b.phases.length; i++) {
+      const tx = x + barW * (b.phases[i].hpPct ?? 0);
+      ctx.fillRect(tx - 1, y - 2, 2, barH + 4);
+    }
+
+    // Enrage countdown
+    if (b.enrage) {
+      const left = Math.max(0, (b.enrage.time ?? 120) - b.fightTime);
+      ctx.font = '11px Orbitron';
+      ctx.textAlign = 'right';
+      ctx.fillStyle = b.enraged ? '#ff3333' : (left < 15 ? '#ffaa00' : '#aaaaaa');
+      ctx.fillText(b.enraged ? 'ENRAGED' : `ENRAGE ${Math.ceil(left)}s`, x + barW, y + barH + 14);
+    }
+  }
+};
+
+export default Boss;
@@ -0,0 +1,156 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// BUILDS.js - Named Build Presets (Hub)
+// ============================================================
+// A preset is a snapshot of pilot stat points, skill ranks (with
+// the active skill key slots) and equipped item ids, kept in
+// State.meta.presets by name. Loading swaps all three in and
+// reapplies Stats.calculate. Every point the switch takes back
+// costs the normal respec scrap (Leveling.getRespecCost), so a
+// preset is never a free respec. Items no longer in the stash
+// leave their slot empty.
+
+import { State } from './State.js';
+import { Leveling } from './Leveling.js';
+import Stats from './Stats.js';
+import { autoSave } from './Save.js';
+
+const MAX_NAME = 24;
+
+// { a: { b: 1 } } -> { a: { b: 1 } } without shared references
+const cloneRanks = (ranks) => JSON.parse(JSON.stringify(ranks || {}));
+
+export const Builds = {
+  // Presets sorted by name
+  list() {
+    return Object.entries(State.meta.presets || {})
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([name, preset]) => ({ name, ...preset }));
+  },
+
+  get(name) {
+    return State.meta.presets?.[name] || null;
+  },
+
+  // Store the current build (overwrites a preset with the same name)
+  save(name) {
+    name = (name || '').trim().slice(0, MAX_NAME);
+    if (!name) return false;
+
+    const m = State.meta;
+    if (!m.presets) m.presets = {};
+    m.presets[name] = {
+      stats: cloneRanks(m.stats),
+      skills: cloneRanks(m.skills),
+      activeSlots: [...(m.activeSlots || [])],
+      equipment: { ...m.equipment },
+      level: m.level,
+      savedAt: Date.now()
+    };
+    autoSave();
+
+    console.log(`📋 Saved build "${name}"`);
+    return true;
+  },
+
+  remove(name) {
+    if (!this.get(name)) return false;
+    delete State.meta.presets[name];
+    autoSave();
+    return true;
+  },
+
+  // Points the switch takes back from the current build
+  getRefundedPoints(preset) {
+    const m = State.meta;
+    let points = 0;
+    for (const [statId, current] of Object.entries(m.stats)) {
+      points += Math.max(0, current - (preset.stats[statId] || 0));
+    }
+    for (const [treeId, ranks] of Object.entries(m.skills)) {
+      for (const [skillId, current] of Object.entries(ranks)) {
+        points += Math.max(0, current - (preset.skills[treeId]?.[skillId] || 0));
+      }
+    }
+    return points;
+  },
+
+  getLoadCost(name) {
+    const preset = this.get(name);
+    return preset ? Leveling.getRespecCost(this.getRefundedPoints(preset)) : 0;
+  },
+
+  // Ranks from the preset that still exist in the data (capped at maxRank)
+  validSkills(preset) {
+    const skills = {};
+    for (const [treeId, ranks] of Object.entries(preset.skills)) {
+      const tree = State.data.skills?.[treeId];
+      for (const [skillId, rank] of Object.entries(ranks)) {
+        const skill = tree?.skills[skillId];
+        if (!skill || rank <= 0) continue;
+        if (!skills[treeId]) skills[treeId] = {};
+        skills[treeId][skillId] = Math.min(rank, skill.maxRank);
+      }
+    }
+    return skills;
+  },
+
+  validStats(preset) {
+    const stats = {};
+    for (const [statId, points] of Object.entries(preset.stats)) {
+      if (State.data.pilotStats?.[statId] && points > 0) stats[statId] = points;
+    }
+    return stats;
+  },
+
+  // Preset spends no more points than the pilot owns and the scrap covers the refund
+  canLoad(name) {
+    const preset = this.get(name);
+    if (!preset) return false;
+    const m = State.meta;
+    const skillTotal = m.skillPoints + Leveling.getSpentSkillPoints();
+    const statTotal = m.statPoints + Leveling.getSpentStatPoints();
+    if (Leveling.getSpentSkillPoints(this.validSkills(preset)) > skillTotal) return false;
+    if (Leveling.getSpentStatPoints(this.validStats(preset)) > statTotal) return false;
+    return m.scrap >= this.getLoadCost(name);
+  },
+
+  // Swap in a preset. Returns { cost, missing: [slotId] } or false.
+  load(name) {
+    if (!this.canLoad(name)) return false;
+
+    const m = State.meta;
+    const preset = this.get(name);
+    const cost = this.getLoadCost(name);
+    const skills = this.validSkills(preset);
+    const stats = this.validStats(preset);
+
+    // Point pools keep their totals
+    m.skillPoints += Leveling.getSpentSkillPoints() - Leveling.getSpentSkillPoints(skills);
+    m.statPoints += Leveling.getSpentStatPoints() - Leveling.getSpentStatPoints(stats);
+    m.scrap -= cost;
+    m.skills = skills;
+    m.stats = stats;
+    m.activeSlots = (preset.activeSlots || []).map(id =>
+      id && Object.values(skills).some(ranks => ranks[id] > 0) ? id : null);
+
+    // Equipment: only items still in the stash
+    const missing = [];
+    m.equipment = {};
+    for (const [slotId, itemId] of Object.entries(preset.equipment)) {
+      if (!itemId) continue;
+      if (m.stash.some(i => i.id === itemId)) m.equipment[slotId] = itemId;
+      else missing.push(slotId);
+    }
+
+    Stats.calculate();
+    autoSave();
+
+    console.log(`📋 Loaded build "${name}" (${cost} scrap${missing.length ? `, missing: ${missing.join(', ')}` : ''})`);
+    return { cost, missing };
+  }
+};
+
+export default Builds;
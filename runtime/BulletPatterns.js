@@ -0,0 +1,273 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// BULLETPATTERNS.js - Data-driven Enemy Fire Patterns
+// ============================================================
+// Patterns are declared by name in enemies.json (bulletPatterns)
+// and referenced by enemies (bulletPattern / eliteBulletPattern)
+// and boss phases. Types:
+//   aimed  - count bullets at the player, optional burst volleys
+//   fan    - shotgun spread across an arc
+//   ring   - full circle, rotating offset per shot
+//   spiral - rotating arms (fire fast for a sweep)
+//   laser  - telegraphed line, then a short beam
+//   homing - slow orbs that turn toward the player
+// Optional life (seconds) limits range; zone modifier effects
+// projectileCount / projectileSpeed scale every pattern. Optional
+// status is a StatusEffects spec carried by every bullet / beam;
+// damageType overrides the firing enemy's type (DamageTypes).
+
+import { State } from './State.js';
+import { Bullets } from './Bullets.js';
+import { Player } from './Player.js';
+import { Particles } from './Particles.js';
+import { Collision } from './Collision.js';
+import { StatusEffects } from './StatusEffects.js';
+import { DepthRules } from './world/DepthRules.js';
+
+export const BulletPatterns = {
+  scheduled: [],    // Pending burst volleys
+  lasers: [],       // Telegraphing / firing beams
+
+  getConfig() {
+    return State.data.config?.bulletPatterns || {};
+  },
+
+  // Resolve a pattern name (or inline spec) to its definition
+  get(ref) {
+    if (!ref) return null;
+    if (typeof ref === 'object') return ref;
+    return State.data.enemies?.bulletPatterns?.[ref] || null;
+  },
+
+  // Count multiplier from active zone modifiers (e.g. BULLET_HELL)
+  scaleCount(n) {
+    return Math.max(1, Math.round(n * DepthRules.effect('projectileCount')));
+  },
+
+  // Fire a pattern from an enemy
+  fire(e, ref) {
+    const spec = this.get(ref) || this.get(this.getConfig().default || 'aimed');
+    if (!spec) return;
+    if (!e.fireState) e.fireState = { angle: 0 };
+
+    switch (spec.type) {
+      case 'laser':
+        this.startLaser(e, spec);
+        break;
+      case 'aimed': {
+        this.emit(e, spec, this.aimedAngles(e, spec));
+        // Extra volleys re-aim when they fire
+        const burst = spec.burst ?? 1;
+        for (let i = 1; i < burst; i++) {
+          this.scheduled.push({ owner: e, spec, timer: i * (spec.burstDelay ?? 0.12) });
+        }
+        break;
+      }
+      default:
+        this.emit(e, spec, this.getAngles(e, spec));
+    }
+  },
+
+  // ========== ANGLES ==========
+
+  aimAt(e) {
+    const p = State.player;
+    return Math.atan2(p.y - e.y, p.x - e.x);
+  },
+
+  aimedAngles(e, spec) {
+    const count = this.scaleCount(spec.count ?? 1);
+    const spacing = spec.spacing ?? 0.1;
+    const jitter = spec.jitter ?? 0;
+    const aim = this.aimAt(e) + (Math.random() - 0.5) * jitter;
+    const angles = [];
+    for (let i = 0; i < count; i++) angles.push(aim + (i - (count - 1) / 2) * spacing);
+    return angles;
+  },
+
+  getAngles(e, spec) {
+    const fs = e.fireState;
+    const angles = [];
+
+    switch (spec.type) {
+      case 'fan': {
+        const count = this.scaleCount(spec.count ?? 5);
+        const arc = spec.arc ?? 0.8;
+        const aim = this.aimAt(e);
+        for (let i = 0; i < count; i++) {
+          const t = count > 1 ? i / (count - 1) - 0.5 : 0;
+          angles.push(aim + t * arc);
+        }
+        break;
+      }
+      case 'ring': {
+        const count = this.scaleCount(spec.count ?? 12);
+        // Default rotation is a half step so consecutive rings interleave
+        fs.angle += spec.rotate ?? Math.PI / count;
+        for (let i = 0; i < count; i++) angles.push(fs.angle + (i / count) * Math.PI * 2);
+        break;
+      }
+      case 'spiral': {
+        const arms = this.scaleCount(spec.arms ?? 2);
+        fs.angle += spec.turn ?? 0.35;
+        for (let i = 0; i < arms; i++) angles.push(fs.angle + (i / arms) * Math.PI * 2);
+        break;
+      }
+      case 'homing': {
+        const count = this.scaleCount(spec.count ?? 1);
+        const arc = spec.arc ?? 1.2;
+        const aim = this.aimAt(e);
+        for (let i = 0; i < count; i++) {
+          const t = count > 1 ? i / (count - 1) - 0.5 : 0;
+          angles.push(aim + t * arc);
+        }
+        break;
+      }
+      default:
+        angles.push(this.aimAt(e));
+    }
+    return angles;
+  },
+
+  // Spawn one bullet per angle
+  emit(e, spec, angles) {
+    const speed = (spec.speed ?? 280) * DepthRules.effect('projectileSpeed');
+    const speedVar = spec.speedVar ?? 0;
+    const size = spec.size ?? (e.isBoss ? 8 : 5);
+    const damage = e.damage * (spec.damageMult ?? 1);
+
+    for (const a of angles) {
+      const s = speed * (1 + (Math.random() - 0.5) * speedVar);
+      const bullet = {
+        x: e.x + Math.cos(a) * e.size * 0.6,
+        y: e.y + Math.sin(a) * e.size * 0.6,
+        vx: Math.cos(a) * s,
+        vy: Math.sin(a) * s,
+        damage,
+        damageType: spec.damageType || e.damageType,
+        size,
+        owner: e
+      };
+      if (spec.type === 'homing') {
+        bullet.homing = spec.turnRate ?? 2;
+        bullet.life = spec.life ?? 4;
+      } else if (spec.life) {
+        bullet.life = spec.life;
+      }
+      if (spec.color) bullet.color = spec.color;
+      if (spec.status) bullet.status = spec.status;
+      Bullets.spawnEnemy(bullet);
+    }
+  },
+
+  // ========== LASERS ==========
+
+  startLaser(e, spec) {
+    const count = this.scaleCount(spec.count ?? 1);
+    const arc = spec.arc ?? 0.5;
+    const aim = this.aimAt(e);
+    for (let i = 0; i < count; i++) {
+      const t = count > 1 ? i / (count - 1) - 0.5 : 0;
+      this.lasers.push({
+        owner: e,
+        angle: aim + t * arc,
+        length: spec.length ?? 900,
+        width: spec.width ?? 10,
+        damage: e.damage * (spec.damageMult ?? 1),
+        damageType: spec.damageType || e.damageType,
+        delay: spec.delay ?? 0.8,
+        duration: spec.duration ?? 0.3,
+        track: !!spec.track,
+        color: spec.color || '#ff3366',
+        status: spec.status,
+        timer: 0,
+        hit: false
+      });
+    }
+  },
+
+  // Beam hits the player once if they are inside it with no cover in between
+  checkLaserHit(l) {
+    const e = l.owner;
+    const p = State.player;
+    const x1 = e.x + Math.cos(l.angle) * l.length;
+    const y1 = e.y + Math.sin(l.angle) * l.length;
+    const dist = Collision.segmentCircleDist(e.x, e.y, x1, y1, p.x, p.y);
+    if (dist > l.width / 2 + p.radius) return;
+    if (!Collision.lineOfSight(e.x, e.y, p.x, p.y)) return;
+    l.hit = true;
+    if (Player.takeDamage(l.damage, l.damageType)) StatusEffects.applySpec(p, l.status, l.damage);
+    Particles.sparks(p.x, p.y, l.color, 8);
+  },
+
+  // ========== UPDATE ==========
+
+  isAlive(e) {
+    return !e.dead && State.enemies.includes(e);
+  },
+
+  update(dt) {
+    for (let i = this.scheduled.length - 1; i >= 0; i--) {
+      const s = this.scheduled[i];
+      s.timer -= dt;
+      if (s.timer > 0) continue;
+      this.scheduled.splice(i, 1);
+      if (this.isAlive(s.owner)) this.emit(s.owner, s.spec, this.aimedAngles(s.owner, s.spec));
+    }
+
+    for (let i = this.lasers.length - 1; i >= 0; i--) {
+      const l = this.lasers[i];
+      if (!this.isAlive(l.owner)) {
+        this.lasers.splice(i, 1);
+        continue;
+      }
+      l.timer += dt;
+      if (l.timer < l.delay) {
+        if (l.track) l.angle = this.aimAt(l.owner);
+        continue;
+      }
+      if (l.timer > l.delay + l.duration) {
+        this.lasers.splice(i, 1);
+        continue;
+      }
+      if (!l.hit) this.checkLaserHit(l);
+    }
+  },
+
+  clear() {
+    this.scheduled = [];
+    this.lasers = [];
+  },
+
+  // ========== DRAWING ==========
+
+  draw(ctx) {
+    for (const l of this.lasers) {
+      const e = l.owner;
+      const x1 = e.x + Math.cos(l.angle) * l.length;
+      const y1 = e.y + Math.sin(l.angle) * l.length;
+      const firing = l.timer >= l.delay;
+
+      ctx.beginPath();
+      ctx.moveTo(e.x, e.y);
+      ctx.lineTo(x1, y1);
+      if (firing) {
+        ctx.strokeStyle = l.color;
+        ctx.shadowColor = l.color;
+        ctx.shadowBlur = 15;
+        ctx.lineWidth = l.width;
+      } else {
+        // Telegraph thickens as the beam charges
+        const progress = l.timer / l.delay;
+        ctx.strokeStyle = `rgba(255, 80, 100, ${0.2 + progress * 0.4})`;
+        ctx.lineWidth = 1 + progress * 2;
+      }
+      ctx.stroke();
+      ctx.shadowBlur = 0;
+    }
+  }
+};
+
+export default BulletPatterns;
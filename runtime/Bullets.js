@@ -8,9 +8,15 @@
 import { State } from './State.js';
 import { Enemies } from './Enemies.js';
 import { Player } from './Player.js';
+import { Particles } from './Particles.js';
+import { Collision } from './Collision.js';
+import { Obstacles } from './Obstacles.js';
+import { EliteAffixes } from './EliteAffixes.js';
+import { StatusEffects } from './StatusEffects.js';
+import { DamageTypes } from './DamageTypes.js';
 import { SeededRandom } from './world/SeededRandom.js';
 import { seedFromParts } from './world/SeedUtil.js';
-import { seedFromParts } from './world/SeedUtil.js';
+import { DepthRules } from './world/DepthRules.js';
 
 export const Bullets = {
   // Spawn a new bullet
@@ -25,7 +31,12 @@ export const Bullets = {
       pierce: config.piercing || 0,
       hits: 0,
       isCrit: config.crit || false,
-      isPlayer: config.isPlayer !== false
+      isPlayer: config.isPlayer !== false,
+      damageType: config.damageType || null,
+      status: config.status || null,
+      life: config.life || 0,
+      style: config.style || 'bolt',
+      color: config.color || '#00ffff'
     });
   },
   
@@ -37,16 +48,31 @@ export const Bullets = {
       vx: config.vx || 0,
       vy: config.vy || 200,
       damage: config.damage || 10,
-      size: config.size || 6
+      size: config.size || 6,
+      homing: config.homing || 0,
+      life: config.life || 0,
+      color: config.color || null,
+      owner: config.owner || null,
+      damageType: config.damageType || null,
+      status: config.status || null
     });
   },
   
-  // Update all bullets
-  update(dt, canvas) {
+  // Update all bullets (enemyDt: enemy shots under time dilation)
+  update(dt, canvas, enemyDt = dt) {
     // Player bullets
     for (let i = State.bullets.length - 1; i >= 0; i--) {
       const b = State.bullets[i];
       
+      // Short-range shots (shotgun pellets) fizzle out
+      if (b.life) {
+        b.life -= dt;
+        if (b.life <= 0) {
+          State.bullets.splice(i, 1);
+          continue;
+        }
+      }
+      
       b.x += b.vx * dt;
       b.y += b.vy * dt;      // Off screen (world mode uses zone bounds)
       const zone = State.world?.currentZone;
@@ -62,22 +88,18 @@ export const Bullets = {
           continue;
         }
       }
+      // Check collision with obstacles
+      if (this.checkObstacleHit(b, b.color)) {
+        State.bullets.splice(i, 1);
+        continue;
+      }
       // Check collision with enemies
       for (const e of State.enemies) {
         if (e.dead) continue;
         
         const dist = Math.hypot(b.x - e.x, b.y - e.y);
         if (dist < b.size + e.size) {
-          // Hit!
-          const killData = Enemies.damage(e, b.damage, b.isCrit);
-          
-          // Spawn damage number
-          this.spawnDamageNumber(b.x, b.y, b.damage, b.isCrit);
-          
-          // Handle kill rewards
-          if (killData) {
-            this.onEnemyKilled(killData);
-          }
+          this.hitEnemy(e, b.x, b.y, b, 'projectile');
           
           b.hits++;
           if (b.hits > b.pierce) {
@@ -92,8 +114,27 @@ export const Bullets = {
     for (let i = State.enemyBullets.length - 1; i >= 0; i--) {
       const b = State.enemyBullets[i];
       
-      b.x += b.vx * dt;
-      b.y += b.vy * dt;      // Off screen (world mode uses zone bounds)
+      // Homing orbs turn toward the player and fizzle out
+      if (b.homing) {
+        const p = State.player;
+        const speed = Math.hypot(b.vx, b.vy);
+        const cur = Math.atan2(b.vy, b.vx);
+        let diff = Math.atan2(p.y - b.y, p.x - b.x) - cur;
+        diff = Math.atan2(Math.sin(diff), Math.cos(diff));
+        const turn = Math.max(-b.homing * enemyDt, Math.min(b.homing * enemyDt, diff));
+        b.vx = Math.cos(cur + turn) * speed;
+        b.vy = Math.sin(cur + turn) * speed;
+      }
+      if (b.life) {
+        b.life -= enemyDt;
+        if (b.life <= 0) {
+          State.enemyBullets.splice(i, 1);
+          continue;
+        }
+      }
+      
+      b.x += b.vx * enemyDt;
+      b.y += b.vy * enemyDt;      // Off screen (world mode uses zone bounds)
       const zone = State.world?.currentZone;
       if (zone) {
         const margin = 200;
@@ -107,18 +148,115 @@ export const Bullets = {
           continue;
         }
       }
+      // Check collision with obstacles
+      if (this.checkObstacleHit(b, '#ff4444')) {
+        State.enemyBullets.splice(i, 1);
+        continue;
+      }
       // Check collision with player
       const p = State.player;
       const dist = Math.hypot(b.x - p.x, b.y - p.y);
-      if (dist < b.size + 15) {
-        Player.takeDamage(b.damage);
+      if (dist < b.size + 15 && !b.dodged) {
+        const fx = State.data.config?.statEffects || {};
+        
+        // Dodge: the shot passes through
+        if (p.dodgeChance > 0 && Math.random() * 100 < Math.min(fx.maxDodge ?? 60, p.dodgeChance)) {
+          b.dodged = true;
+          Particles.text(p.x, p.y - 30, 'DODGE', '#aaffff', 12);
+          continue;
+        }
+        
+        // Deflect: the shot flies back as a player bullet
+        if (p.deflectChance > 0 && Math.random() * 100 < Math.min(fx.maxDeflect ?? 60, p.deflectChance)) {
+          State.enemyBullets.splice(i, 1);
+          this.spawn({
+            x: b.x, y: b.y,
+            vx: -b.vx, vy: -b.vy,
+            damage: b.damage,
+            size: b.size,
+            isPlayer: true,
+            damageType: b.damageType,
+            color: '#66ddff'
+          });
+          Particles.sparks(b.x, b.y, '#66ddff', 5);
+          continue;
+        }
+        
+        if (Player.takeDamage(b.damage, b.damageType)) {
+          if (b.owner?.affixes) EliteAffixes.onPlayerHit(b.owner, b.damage);
+          if (b.status) StatusEffects.applySpec(p, b.status, b.damage);
+        }
         State.enemyBullets.splice(i, 1);
       }
     }
   },
   
+  // Player hit on an enemy: damage, damage number, kill rewards, status procs.
+  // hit = { damage, isCrit, damageType, status } (a bullet or a beam / nova hit)
+  // source = 'projectile' for bullet impacts (elite reflect only answers those)
+  hitEnemy(e, x, y, hit, source = null) {
+    const p = State.player;
+    const fx = State.data.config?.statEffects || {};
+    let damage = hit.damage;
+    
+    // Berserk (own hull low) and execute (target low)
+    if (p.berserkDamage > 0 && Player.isLowHull('berserkThreshold')) damage *= 1 + p.berserkDamage / 100;
+    if (p.executeDamage > 0 && e.hp < e.maxHP * (fx.executeThreshold ?? 0.3)) damage *= 1 + p.executeDamage / 100;
+    
+    const killData = Enemies.damage(e, damage, hit.isCrit, hit.damageType, source);
+    
+    // Damage number shows the HP the hit removed (none if it was blocked)
+    if (e.lastDamage > 0) this.spawnDamageNumber(x, y, e.lastDamage, hit.isCrit, hit.damageType);
+    
+    // Lifesteal heals a share of the HP the hit removed
+    if (p.lifesteal > 0 && p.hp > 0 && p.hp < p.maxHP) {
+      p.hp = Math.min(p.maxHP, p.hp + e.lastDamage * Math.min(fx.maxLifesteal ?? 25, p.lifesteal) / 100);
+    }
+    
+    if (killData) {
+      this.onEnemyKilled(killData);
+    } else if (hit.status && !e.dead) {
+      StatusEffects.applySpec(e, hit.status, damage);
+    }
+    return killData;
+  },
+  
+  // Bullet vs zone obstacles: ricochet off hard cover, otherwise stop.
+  // Returns true if the bullet is used up.
+  checkObstacleHit(b, color) {
+    const hit = Collision.hitObstacle(b.x, b.y, b.size);
+    if (!hit) return false;
+    
+    const cfg = State.data.config?.collision || {};
+    const ricochetTypes = cfg.ricochetTypes || ['pillar'];
+    const maxRicochets = cfg.maxRicochets ?? 1;
+    
+    // Player fire chips away at destructible rocks
+    if (b.isPlayer && hit.obstacle.destructible) {
+      Obstacles.damage(hit.obstacle, b.damage);
+      return true;
+    }
+    
+    if (ricochetTypes.includes(hit.obstacle.type) && (b.ricochets || 0) < maxRicochets) {
+      // Reflect velocity about the surface normal
+      const vn = b.vx * hit.nx + b.vy * hit.ny;
+      if (vn < 0) {
+        b.vx -= 2 * vn * hit.nx;
+        b.vy -= 2 * vn * hit.ny;
+      }
+      b.x += hit.nx * hit.depth;
+      b.y += hit.ny * hit.depth;
+      b.ricochets = (b.ricochets || 0) + 1;
+      Particles.sparks(b.x, b.y, color, 3);
+      return false;
+    }
+    
+    Particles.sparks(b.x, b.y, color, 4);
+    return true;
+  },
+  
   // Spawn floating damage number
-  spawnDamageNumber(x, y, damage, isCrit) {
+  spawnDamageNumber(x, y, damage, isCrit, damageType = null) {
     const cfg = State.data.config?.effects?.damageNumbers || {};
     
     // Config values with Diablo-style defaults
@@ -135,7 +273,8 @@ export const Bullets = {
     const bigHitThreshold = State.player.damage * 3;
     const isBigHit = damage >= bigHitThreshold;
     
-    let color = normalColor;
+    // Normal hits are coloured by their (dominant) damage type
+    let color = DamageTypes.getColor(damageType, normalColor);
     let size = baseSize;
     
     if (isCrit) {
@@ -184,6 +323,7 @@ export const Bullets = {
     let scrap = baseScrap;
     if (killData.isElite) scrap *= (cfg?.economy?.eliteScrapMult || 3);
     if (killData.isBoss) scrap *= (cfg?.economy?.bossScrapMult || 10);
+    scrap *= 1 + (State.player.scrapBonus || 0) / 100;
     State.run.scrapEarned += Math.floor(scrap);
     
     // Loot drop check
@@ -218,6 +358,12 @@ export const Bullets = {
     const tilt = Math.min(0.25, Math.max(0, (d - 50) / 400)); // starts after depth 50
 
     const w = { ...weights };
+
+    // Zone modifiers (RICH_LOOT + risk/reward bonus) and rarityBoost favour rare and above
+    const rarityMult = DepthRules.effect('lootRarity') * DepthRules.reward('rarity') * (1 + (State.player.rarityBoost || 0) / 100);
+    if (rarityMult !== 1) {
+      for (const k of ['rare', 'epic', 'legendary', 'mythic']) w[k] = (w[k] ?? 0) * rarityMult;
+    }
     if (tilt > 0) {
       // Reduce common/uncommon slightly, increase legendary/mythic slightly
       w.common = (w.common ?? 0) * (1 - 0.6 * tilt);
@@ -252,8 +398,11 @@ export const Bullets = {
     if (killData.isElite) dropChance = cfg.eliteDropChance ?? 0.18;
     if (killData.isBoss) dropChance = cfg.bossDropChance ?? 0.85;
 
-    // Apply luck (small effect)
+    // Apply luck (small effect), drop bonus (%) and zone loot modifiers
     dropChance *= (1 + (State.player.luck || 0) * 0.02);
+    dropChance *= 1 + (State.player.dropBonus || 0) / 100;
+    const quantity = DepthRules.effect('lootQuantity') * DepthRules.reward('quantity');
+    dropChance *= quantity;
 
     if (rng.chance(dropChance)) {
       const itemSeed = seedFromParts(State.run?.seed || (State.meta.worldSeed || 0), 'ITEM', (State.run.lootSerial++), (killData.x|0), (killData.y|0), depth);
@@ -278,12 +427,12 @@ export const Bullets = {
       y: killData.y,
       vx: (rng.next() - 0.5) * 40,
       vy: -30 + rng.next() * 20,
-      value: killData.isBoss ? 50 : (killData.isElite ? 20 : 5),
+      value: Math.round((killData.isBoss ? 50 : (killData.isElite ? 20 : 5)) * quantity),
       life: 8
     });
 
     // Chance for scrap
-    const scrapChance = cfg.scrapDropChance ?? 0.12;
+    const scrapChance = (cfg.scrapDropChance ?? 0.12) * quantity;
     if (rng.chance(scrapChance)) {
       State.pickups.push({
         type: 'scrap',
@@ -299,25 +448,63 @@ export const Bullets = {
   
   // Draw all bullets
   draw(ctx) {
-    // Player bullets
-    ctx.fillStyle = '#00ffff';
-    ctx.shadowColor = '#00ffff';
+    // Player bullets (style set by the weapon archetype)
     ctx.shadowBlur = 10;
     
     for (const b of State.bullets) {
-      ctx.beginPath();
-      ctx.arc(b.x, b.y, b.size, 0, Math.PI * 2);
-      ctx.fill();
+      ctx.fillStyle = ctx.strokeStyle = ctx.shadowColor = b.color;
       
-      // Trail
-      ctx.globalAlpha = 0.4;
-      ctx.beginPath();
-      ctx.moveTo(b.x, b.y);
-      ctx.lineTo(b.x - b.vx * 0.02, b.y - b.vy * 0.02);
-      ctx.strokeStyle = '#00ffff';
-      ctx.lineWidth = b.size * 0.8;
-      ctx.stroke();
-      ctx.globalAlpha = 1;
+      switch (b.style) {
+        case 'tracer':
+          // Thin streak along the flight path
+          ctx.lineWidth = b.size;
+          ctx.beginPath();
+          ctx.moveTo(b.x, b.y);
+          ctx.lineTo(b.x - b.vx * 0.035, b.y - b.vy * 0.035);
+          ctx.stroke();
+          break;
+          
+        case 'plasma':
+          // Soft blob that fades as it runs out of range
+          ctx.globalAlpha = b.life ? Math.min(1, 0.4 + b.life * 3) : 1;
+          ctx.beginPath();
+          ctx.arc(b.x, b.y, b.size * 1.4, 0, Math.PI * 2);
+          ctx.fill();
+          ctx.globalAlpha = 1;
+          break;
+          
+        case 'slug':
+          // Heavy round: long trail and a white-hot core
+          ctx.globalAlpha = 0.5;
+          ctx.lineWidth = b.size * 1.2;
+          ctx.beginPath();
+          ctx.moveTo(b.x, b.y);
+          ctx.lineTo(b.x - b.vx * 0.05, b.y - b.vy * 0.05);
+          ctx.stroke();
+          ctx.globalAlpha = 1;
+          ctx.beginPath();
+          ctx.arc(b.x, b.y, b.size, 0, Math.PI * 2);
+          ctx.fill();
+          ctx.fillStyle = '#ffffff';
+          ctx.beginPath();
+          ctx.arc(b.x, b.y, b.size * 0.45, 0, Math.PI * 2);
+          ctx.fill();
+          break;
+          
+        default:
+          ctx.beginPath();
+          ctx.arc(b.x, b.y, b.size, 0, Math.PI * 2);
+          ctx.fill();
+          
+          // Trail
+          ctx.globalAlpha = 0.4;
+          ctx.beginPath();
+          ctx.moveTo(b.x, b.y);
+          ctx.lineTo(b.x - b.vx * 0.02, b.y - b.vy * 0.02);
+          ctx.lineWidth = b.size * 0.8;
+          ctx.stroke();
+          ctx.globalAlpha = 1;
+      }
     }
     
     ctx.shadowBlur = 0;
@@ -328,9 +515,14 @@ export const Bullets = {
     ctx.shadowBlur = 8;
     
     for (const b of State.enemyBullets) {
+      if (b.color) ctx.fillStyle = ctx.shadowColor = b.color;
       ctx.beginPath();
       ctx.arc(b.x, b.y, b.size, 0, Math.PI * 2);
       ctx.fill();
+      if (b.color) {
+        ctx.fillStyle = '#ff4444';
+        ctx.shadowColor = '#ff0000';
+      }
     }
     
     ctx.shadowBlur = 0;
@@ -0,0 +1,236 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// COLLISION.js - Entity vs Zone Obstacle Collision
+// ============================================================
+// Obstacles from MapGenerator become solid shapes:
+//   asteroid / mine / pillar -> circle(radius)
+//   debris                   -> rotated rect (2r x r, matches World.draw)
+// Broad-phase uses the SpawnGrid spatial hash, rebuilt on zone load.
+
+import { State } from './State.js';
+import { SpawnGrid } from './world/SpawnGrid.js';
+
+export const Collision = {
+  grid: null,
+  maxRadius: 0,     // Largest obstacle bounding radius (query padding)
+
+  // Build obstacle spatial hash for the current zone
+  buildObstacleGrid(obstacles) {
+    const cfg = State.data.config?.collision || {};
+    this.grid = new SpawnGrid(cfg.gridCellSize || 256);
+    this.grid.build(obstacles || []);
+    this.maxRadius = 0;
+    for (const obs of obstacles || []) {
+      this.maxRadius = Math.max(this.maxRadius, this.boundingRadius(obs));
+    }
+  },
+
+  clear() {
+    this.grid = null;
+    this.maxRadius = 0;
+  },
+
+  isEnabled() {
+    return !!State.world?.currentZone && State.data.config?.collision?.enabled !== false;
+  },
+
+  // ========== SHAPES ==========
+
+  getShape(obs) {
+    if (obs.type === 'debris') {
+      return { kind: 'rect', halfW: obs.radius, halfH: obs.radius / 2, rotation: obs.rotation || 0 };
+    }
+    return { kind: 'circle', radius: obs.radius };
+  },
+
+  boundingRadius(obs) {
+    const s = this.getShape(obs);
+    return s.kind === 'rect' ? Math.hypot(s.halfW, s.halfH) : s.radius;
+  },
+
+  // Obstacles whose grid cell overlaps the circle (x,y,r), padded by the largest shape
+  queryObstacles(x, y, r) {
+    if (!this.grid) return State.world?.currentZone?.obstacles || [];
+    return this.grid.query(x, y, r + this.maxRadius);
+  },
+
+  // ========== NARROW PHASE ==========
+
+  // Circle vs obstacle. Returns { depth, nx, ny } (normal points away from obstacle) or null
+  circleVsObstacle(x, y, r, obs) {
+    const shape = this.getShape(obs);
+
+    if (shape.kind === 'circle') {
+      const dx = x - obs.x, dy = y - obs.y;
+      const dist = Math.hypot(dx, dy);
+      const overlap = r + shape.radius - dist;
+      if (overlap <= 0) return null;
+      if (dist < 0.0001) return { depth: overlap, nx: 0, ny: -1 };
+      return { depth: overlap, nx: dx / dist, ny: dy / dist };
+    }
+
+    // Rotated rect: work in obstacle-local space
+    const cos = Math.cos(-shape.rotation), sin = Math.sin(-shape.rotation);
+    const wx = x - obs.x, wy = y - obs.y;
+    const lx = wx * cos - wy * sin;
+    const ly = wx * sin + wy * cos;
+
+    const cx = Math.max(-shape.halfW, Math.min(shape.halfW, lx));
+    const cy = Math.max(-shape.halfH, Math.min(shape.halfH, ly));
+    let nlx = lx - cx, nly = ly - cy;
+    let dist = Math.hypot(nlx, nly);
+    let depth;
+
+    if (dist > 0.0001) {
+      depth = r - dist;
+      if (depth <= 0) return null;
+      nlx /= dist; nly /= dist;
+    } else {
+      // Center inside the rect: push out along the shallowest axis
+      const px = shape.halfW - Math.abs(lx);
+      const py = shape.halfH - Math.abs(ly);
+      if (px < py) { nlx = Math.sign(lx) || 1; nly = 0; depth = px + r; }
+      else { nlx = 0; nly = Math.sign(ly) || 1; depth = py + r; }
+    }
+
+    // Rotate normal back to world space
+    const rc = Math.cos(shape.rotation), rs = Math.sin(shape.rotation);
+    return { depth, nx: nlx * rc - nly * rs, ny: nlx * rs + nly * rc };
+  },
+
+  // Segment (x0,y0)->(x1,y1) inflated by r vs obstacle
+  segmentHitsObstacle(x0, y0, x1, y1, obs, r = 0) {
+    const shape = this.getShape(obs);
+
+    if (shape.kind === 'circle') {
+      return this.segmentCircleDist(x0, y0, x1, y1, obs.x, obs.y) < shape.radius + r;
+    }
+
+    // Slab test against the rect expanded by r (local space)
+    const cos = Math.cos(-shape.rotation), sin = Math.sin(-shape.rotation);
+    const ax = (x0 - obs.x) * cos - (y0 - obs.y) * sin;
+    const ay = (x0 - obs.x) * sin + (y0 - obs.y) * cos;
+    const bx = (x1 - obs.x) * cos - (y1 - obs.y) * sin;
+    const by = (x1 - obs.x) * sin + (y1 - obs.y) * cos;
+    const hw = shape.halfW + r, hh = shape.halfH + r;
+
+    let tMin = 0, tMax = 1;
+    const dx = bx - ax, dy = by - ay;
+    for (const [p, d, h] of [[ax, dx, hw], [ay, dy, hh]]) {
+      if (Math.abs(d) < 0.0001) {
+        if (p < -h || p > h) return false;
+      } else {
+        let t0 = (-h - p) / d, t1 = (h - p) / d;
+        if (t0 > t1) [t0, t1] = [t1, t0];
+        tMin = Math.max(tMin, t0);
+        tMax = Math.min(tMax, t1);
+        if (tMin > tMax) return false;
+      }
+    }
+    return true;
+  },
+
+  segmentCircleDist(x0, y0, x1, y1, cx, cy) {
+    const dx = x1 - x0, dy = y1 - y0;
+    const len2 = dx * dx + dy * dy;
+    let t = len2 > 0 ? ((cx - x0) * dx + (cy - y0) * dy) / len2 : 0;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(x0 + dx * t - cx, y0 + dy * t - cy);
+  },
+
+  // ========== QUERIES ==========
+
+  // First obstacle overlapping circle (x,y,r); returns { obstacle, depth, nx, ny } or null
+  hitObstacle(x, y, r) {
+    if (!this.isEnabled()) return null;
+    for (const obs of this.queryObstacles(x, y, r)) {
+      if (obs.destroyed) continue;
+      const hit = this.circleVsObstacle(x, y, r, obs);
+      if (hit) return { obstacle: obs, ...hit };
+    }
+    return null;
+  },
+
+  // Push a moving circle entity out of all obstacles and slide along them.
+  // Entity needs x, y, vx, vy. Returns the last obstacle touched (or null).
+  resolveEntity(entity, radius) {
+    if (!this.isEnabled()) return null;
+    let touched = null;
+
+    // Two passes handle entities wedged between neighbouring obstacles
+    for (let pass = 0; pass < 2; pass++) {
+      let moved = false;
+      for (const obs of this.queryObstacles(entity.x, entity.y, radius)) {
+        if (obs.destroyed) continue;
+        const hit = this.circleVsObstacle(entity.x, entity.y, radius, obs);
+        if (!hit) continue;
+
+        entity.x += hit.nx * hit.depth;
+        entity.y += hit.ny * hit.depth;
+
+        // Remove the velocity component pointing into the obstacle (slide)
+        const vn = entity.vx * hit.nx + entity.vy * hit.ny;
+        if (vn < 0) {
+          entity.vx -= vn * hit.nx;
+          entity.vy -= vn * hit.ny;
+        }
+        touched = obs;
+        moved = true;
+      }
+      if (!moved) break;
+    }
+    return touched;
+  },
+
+  // True if nothing solid blocks the line between two points
+  lineOfSight(x0, y0, x1, y1) {
+    if (!this.isEnabled()) return true;
+    const mx = (x0 + x1) / 2, my = (y0 + y1) / 2;
+    const half = Math.hypot(x1 - x0, y1 - y0) / 2;
+    for (const obs of this.queryObstacles(mx, my, half)) {
+      if (obs.destroyed) continue;
+      if (this.segmentHitsObstacle(x0, y0, x1, y1, obs)) return false;
+    }
+    return true;
+  },
+
+  // Bend an entity's velocity around the nearest obstacle ahead of it
+  steer(entity, radius, lookahead = null) {
+    if (!this.isEnabled()) return;
+    const speed = Math.hypot(entity.vx, entity.vy);
+    if (speed < 1) return;
+
+    const look = lookahead ?? (State.data.config?.collision?.enemyLookahead || 70);
+    const dx = entity.vx / speed, dy = entity.vy / speed;
+    const ax = entity.x + dx * (look + radius);
+    const ay = entity.y + dy * (look + radius);
+
+    // Nearest blocking obstacle along the path
+    let nearest = null;
+    let nearestDist = Infinity;
+    for (const obs of this.queryObstacles(entity.x, entity.y, look + radius)) {
+      if (obs.destroyed) continue;
+      if (!this.segmentHitsObstacle(entity.x, entity.y, ax, ay, obs, radius)) continue;
+      const d = Math.hypot(obs.x - entity.x, obs.y - entity.y);
+      if (d < nearestDist) { nearestDist = d; nearest = obs; }
+    }
+    if (!nearest) return;
+
+    // Turn toward the side of the path the obstacle is not on
+    const ox = nearest.x - entity.x, oy = nearest.y - entity.y;
+    const side = (dx * oy - dy * ox) > 0 ? -1 : 1;
+    const px = -dy * side, py = dx * side;
+
+    // Closer obstacles turn harder
+    const urgency = Math.max(0.3, 1 - nearestDist / (look + radius + this.boundingRadius(nearest)));
+    const sx = dx * (1 - urgency) + px * urgency;
+    const sy = dy * (1 - urgency) + py * urgency;
+    const len = Math.hypot(sx, sy) || 1;
+    entity.vx = (sx / len) * speed;
+    entity.vy = (sy / len) * speed;
+  }
+};
+
+export default Collision;
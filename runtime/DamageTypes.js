@@ -0,0 +1,102 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// DAMAGETYPES.js - Kinetic / Energy / Thermal / Void Damage
+// ============================================================
+// Types are defined in data/damageTypes.json. A hit carries either
+// a single type id ("thermal") or a mix ({ kinetic: 0.7, void: 0.3 }),
+// untyped damage (null) ignores resistances.
+// Resistances (%):
+//   enemies - enemies.json resists[type] (negative = weakness)
+//   player  - Stats p.resists[type + 'Resist'] + p.resists.damageResist
+// Player mix: weapon base type, then <type>Conversion stats move a
+// share of it to another type and <type>Damage stats add extra damage.
+
+import { State } from './State.js';
+
+export const DamageTypes = {
+  getConfig() {
+    return State.data.config?.damageTypes || {};
+  },
+
+  getDef(id) {
+    return State.data.damageTypes?.[id] || null;
+  },
+
+  isType(id) {
+    return !!State.data.damageTypes?.[id];
+  },
+
+  // Resistance to one type as a fraction
+  getResist(target, id) {
+    const cfg = this.getConfig();
+    if (target === State.player) {
+      const r = target.resists || {};
+      const resist = (r[id + 'Resist'] || 0) + (r.damageResist || 0);
+      return Math.min(cfg.maxResist ?? 75, resist) / 100;
+    }
+    const resist = target.resists?.[id] || 0;
+    return Math.max(cfg.minResist ?? -100, Math.min(cfg.maxEnemyResist ?? 90, resist)) / 100;
+  },
+
+  // Damage multiplier for a hit of this type (or mix) on the target
+  multiplier(target, type) {
+    if (!type) return 1;
+    if (typeof type === 'string') return 1 - this.getResist(target, type);
+    let mult = 0;
+    for (const [id, share] of Object.entries(type)) {
+      mult += share * (1 - this.getResist(target, id));
+    }
+    return mult;
+  },
+
+  // Largest share of a mix (used for colours)
+  dominant(type) {
+    if (!type || typeof type === 'string') return type || null;
+    let best = null;
+    for (const [id, share] of Object.entries(type)) {
+      if (!best || share > type[best]) best = id;
+    }
+    return best;
+  },
+
+  getColor(type, fallback = '#ffffff') {
+    return this.getDef(this.dominant(type))?.color || fallback;
+  },
+
+  // Player weapon mix from Stats (p.damageConversion / p.addedDamage, in %).
+  // Returns { type, damageMult } - added damage raises the total.
+  buildPlayerMix(p, baseType) {
+    const base = baseType || this.getConfig().playerDefault || 'kinetic';
+    const shares = { [base]: 1 };
+
+    // Conversion takes from the base type (capped at 100%)
+    let converted = 0;
+    for (const [id, pct] of Object.entries(p.damageConversion || {})) {
+      if (id === base || pct <= 0) continue;
+      const share = Math.min(pct / 100, 1 - converted);
+      if (share <= 0) break;
+      shares[id] = (shares[id] || 0) + share;
+      shares[base] -= share;
+      converted += share;
+    }
+
+    // Added damage is extra on top of the weapon damage
+    let total = 1;
+    for (const [id, pct] of Object.entries(p.addedDamage || {})) {
+      if (pct <= 0) continue;
+      shares[id] = (shares[id] || 0) + pct / 100;
+      total += pct / 100;
+    }
+
+    const mix = {};
+    for (const [id, share] of Object.entries(shares)) {
+      if (share > 0.001) mix[id] = share / total;
+    }
+    const ids = Object.keys(mix);
+    return { type: ids.length === 1 ? ids[0] : mix, damageMult: total };
+  }
+};
+
+export default DamageTypes;
@@ -0,0 +1,190 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// DASH.js - Dash / Warp Ability
+// ============================================================
+// Config dash block = defaults (keys, charges, cooldown, distance,
+// duration, invuln). The equipped engine's dash block in items.json
+// tweaks it (cooldownMult, distanceMult, mode "warp" = instant
+// teleport), engine stats add dashCharges and warpRange (distance).
+// Resolved by Stats into p.dash. Direction: movement input, or the
+// aim direction when standing still.
+
+import { State } from './State.js';
+import { Particles } from './Particles.js';
+import { Collision } from './Collision.js';
+import { StatusEffects } from './StatusEffects.js';
+
+export const Dash = {
+  ghosts: [],       // Afterimages left along the dash path
+
+  getConfig() {
+    return State.data.config?.dash || {};
+  },
+
+  // Dash settings from config + engine dash block + engine stats
+  resolve(engineDash = null) {
+    const p = State.player;
+    const spec = { ...this.getConfig(), ...(engineDash || {}) };
+    return {
+      mode: spec.mode || 'dash',
+      charges: Math.max(1, (spec.charges ?? 1) + Math.floor(p.dashCharges || 0)),
+      cooldown: (spec.cooldown ?? 1.2) * (spec.cooldownMult ?? 1),
+      distance: (spec.distance ?? 160) * (spec.distanceMult ?? 1) + (p.warpRange || 0),
+      duration: spec.duration ?? 0.14,
+      invuln: spec.invuln ?? 0.25,
+      color: spec.color || '#00ffaa'
+    };
+  },
+
+  isKey(code) {
+    return (this.getConfig().keys || ['ShiftLeft', 'ShiftRight']).includes(code);
+  },
+
+  // Full charges (new zone / run)
+  clear() {
+    const p = State.player;
+    p.dashCharge = p.dash?.charges ?? 1;
+    p.dashRecharge = 0;
+    p.dashTime = 0;
+    this.ghosts = [];
+  },
+
+  // ========== UPDATE ==========
+
+  // Returns true while a dash is moving the ship (Player skips normal steering)
+  update(dt, move) {
+    const p = State.player;
+    const spec = p.dash;
+    this.updateGhosts(dt);
+    if (!spec) return false;
+
+    // Charges come back one at a time
+    if (p.dashCharge > spec.charges) p.dashCharge = spec.charges;
+    if (p.dashCharge < spec.charges) {
+      p.dashRecharge += dt;
+      if (p.dashRecharge >= spec.cooldown) {
+        p.dashRecharge = 0;
+        p.dashCharge++;
+      }
+    } else {
+      p.dashRecharge = 0;
+    }
+
+    // Frozen / stunned ships can't dash, and a running dash stops
+    const locked = StatusEffects.speedMult(p) === 0;
+    if (locked && p.dashTime > 0) {
+      p.dashTime = 0;
+      p.vx = 0;
+      p.vy = 0;
+    }
+
+    // Key press is consumed whether or not a charge was ready
+    if (State.input.dash) {
+      State.input.dash = false;
+      if (!locked && p.dashCharge > 0 && p.dashTime <= 0) this.start(spec, move);
+    }
+
+    if (p.dashTime <= 0) return false;
+    p.dashTime -= dt;
+    const speed = spec.distance / spec.duration;
+    p.vx = p.dashDir.x * speed;
+    p.vy = p.dashDir.y * speed;
+    Particles.trail(p.x, p.y, spec.color, 5);
+    if (Math.random() < 0.5) this.addGhost(spec);
+
+    // Bleed off speed at the end instead of stopping dead
+    if (p.dashTime <= 0) {
+      p.vx *= 0.3;
+      p.vy *= 0.3;
+    }
+    return true;
+  },
+
+  start(spec, move) {
+    const p = State.player;
+    let dx = move.dx, dy = move.dy;
+    const len = Math.hypot(dx, dy);
+    if (len < 0.1) {
+      dx = Math.cos(p.angle);
+      dy = Math.sin(p.angle);
+    } else {
+      dx /= len;
+      dy /= len;
+    }
+
+    p.dashCharge--;
+    p.invulnTimer = Math.max(p.invulnTimer || 0, spec.invuln);
+    this.addGhost(spec);
+
+    if (spec.mode === 'warp') {
+      this.warp(spec, dx, dy);
+    } else {
+      p.dashTime = spec.duration;
+      p.dashDir = { x: dx, y: dy };
+      Particles.sparks(p.x, p.y, spec.color, 6);
+    }
+  },
+
+  // Instant jump: the furthest free spot along the line (inside the zone)
+  warp(spec, dx, dy) {
+    const p = State.player;
+    const zone = State.world?.currentZone;
+    const margin = p.radius + 5;
+    Particles.ring(p.x, p.y, spec.color, 30);
+
+    for (let d = spec.distance; d > 0; d -= 10) {
+      let x = p.x + dx * d;
+      let y = p.y + dy * d;
+      if (zone) {
+        x = Math.max(margin, Math.min(zone.width - margin, x));
+        y = Math.max(margin, Math.min(zone.height - margin, y));
+      }
+      if (!Collision.hitObstacle(x, y, p.radius)) {
+        p.x = x;
+        p.y = y;
+        break;
+      }
+    }
+    p.vx = dx * 120;
+    p.vy = dy * 120;
+    Particles.ring(p.x, p.y, spec.color, 40);
+    Particles.sparks(p.x, p.y, spec.color, 10);
+  },
+
+  // ========== AFTERIMAGES ==========
+
+  addGhost(spec) {
+    const p = State.player;
+    this.ghosts.push({ x: p.x, y: p.y, angle: p.angle, life: 0.3, color: spec.color });
+  },
+
+  updateGhosts(dt) {
+    for (let i = this.ghosts.length - 1; i >= 0; i--) {
+      this.ghosts[i].life -= dt;
+      if (this.ghosts[i].life <= 0) this.ghosts.splice(i, 1);
+    }
+  },
+
+  draw(ctx) {
+    for (const g of this.ghosts) {
+      ctx.save();
+      ctx.globalAlpha = g.life / 0.3 * 0.5;
+      ctx.translate(g.x, g.y);
+      ctx.rotate(g.angle + Math.PI / 2);
+      ctx.strokeStyle = g.color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(0, -20);
+      ctx.lineTo(-14, 16);
+      ctx.lineTo(0, 10);
+      ctx.lineTo(14, 16);
+      ctx.closePath();
+      ctx.stroke();
+      ctx.restore();
+    }
+  }
+};
+
+export default Dash;
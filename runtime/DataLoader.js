@@ -16,9 +16,14 @@ const DATA_FILES = [
   'affixes',
   'skills',
   'pilotStats',
+  'mastery',
   'runUpgrades',
   'enemies',
-  'acts'
+  'acts',
+  'modifiers',
+  'eliteAffixes',
+  'statusEffects',
+  'damageTypes'
 ];
 
 export async function loadAllData() {
@@ -0,0 +1,266 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// DRONES.js - Companion Drones (Drone Bay Slot)
+// ============================================================
+// The equipped drone item becomes an entity orbiting the ship.
+// Its drone block in items.json picks the behaviour:
+//   attack    - shoots the nearest visible enemy
+//   repair    - heals hpRegen/s, repairBurst when hull is low
+//   shield    - regenerates shieldRegen/s, ignoring regen delay
+//   scavenger - flies out to pickups inside collectRange (beyond
+//               pickupRadius) and carries them back
+// Rolled item stats already scale with rarity; the rarity
+// powerMult also speeds up the drone itself.
+
+import { State } from './State.js';
+import { Bullets } from './Bullets.js';
+import { Particles } from './Particles.js';
+import { Collision } from './Collision.js';
+
+// Item stats the drone uses itself (everything else is a normal stat)
+const OWN_STATS = ['droneDamage', 'droneFireRate', 'hpRegen', 'repairBurst', 'shieldRegen', 'collectRange'];
+
+export const Drones = {
+  drone: null,      // Active drone entity
+  itemId: null,
+
+  OWN_STATS,
+
+  getConfig() {
+    return State.data.config?.drones || {};
+  },
+
+  // Drone settings for an equipped drone item (null without a drone block)
+  resolve(item, baseData) {
+    if (!baseData?.drone) return null;
+    const rarity = State.data.rarities?.[item.rarity];
+    return {
+      ...baseData.drone,
+      stats: { ...item.stats },
+      power: rarity?.powerMult ?? 1,
+      color: rarity?.color || '#00ffaa',
+      itemId: item.id
+    };
+  },
+
+  // (Re)spawn the entity for the equipped drone next to the ship
+  reset() {
+    const p = State.player;
+    const spec = p.drone;
+    this.itemId = spec?.itemId ?? null;
+    this.drone = spec ? {
+      x: p.x, y: p.y,
+      orbit: 0,
+      timer: 0,
+      burstTimer: 0,
+      carrying: null,
+      target: null,
+      pulse: 0
+    } : null;
+  },
+
+  clear() {
+    this.reset();
+  },
+
+  // ========== UPDATE ==========
+
+  update(dt) {
+    const p = State.player;
+    const spec = p.drone;
+    if ((spec?.itemId ?? null) !== this.itemId) this.reset();
+    const d = this.drone;
+    if (!d) return;
+
+    const cfg = this.getConfig();
+    d.pulse = Math.max(0, d.pulse - dt);
+
+    switch (spec.type) {
+      case 'attack': this.updateAttack(d, spec, dt); break;
+      case 'repair': this.updateRepair(d, spec, dt); break;
+      case 'shield': this.updateShield(d, spec, dt); break;
+      case 'scavenger':
+        if (this.updateScavenger(d, spec, dt)) return;
+        break;
+    }
+
+    // Orbit the ship (smoothed so it trails a little)
+    d.orbit += dt * (cfg.orbitSpeed ?? 1.6);
+    const radius = cfg.orbitRadius ?? 42;
+    const tx = p.x + Math.cos(d.orbit) * radius;
+    const ty = p.y + Math.sin(d.orbit) * radius;
+    const follow = Math.min(1, dt * (cfg.followRate ?? 8));
+    d.x += (tx - d.x) * follow;
+    d.y += (ty - d.y) * follow;
+  },
+
+  // Fire at the nearest enemy in range with line of sight
+  updateAttack(d, spec, dt) {
+    const p = State.player;
+    d.timer -= dt;
+    if (d.timer > 0) return;
+
+    const range = spec.range ?? 350;
+    let target = null;
+    let best = range;
+    for (const e of State.enemies) {
+      if (e.dead) continue;
+      const dist = Math.hypot(e.x - d.x, e.y - d.y);
+      if (dist < best && Collision.lineOfSight(d.x, d.y, e.x, e.y)) {
+        target = e;
+        best = dist;
+      }
+    }
+    if (!target) return;
+
+    d.timer = 1 / Math.max(0.1, spec.stats.droneFireRate ?? 2);
+    const a = Math.atan2(target.y - d.y, target.x - d.x);
+    const speed = (spec.bulletSpeed ?? 550) * (1 + (spec.power - 1) * 0.25);
+    Bullets.spawn({
+      x: d.x, y: d.y,
+      vx: Math.cos(a) * speed,
+      vy: Math.sin(a) * speed,
+      damage: spec.stats.droneDamage ?? 5,
+      size: 3,
+      isPlayer: true,
+      crit: Math.random() * 100 < p.critChance,
+      damageType: spec.damageType || null,
+      color: spec.color
+    });
+  },
+
+  // Steady hull repair, plus a burst when the hull drops low
+  updateRepair(d, spec, dt) {
+    const p = State.player;
+    if (p.hp <= 0) return;
+    if (p.hp < p.maxHP) {
+      p.hp = Math.min(p.maxHP, p.hp + (spec.stats.hpRegen ?? 1) * dt);
+    }
+
+    d.burstTimer -= dt * spec.power;
+    if (d.burstTimer <= 0 && p.hp < p.maxHP * (spec.burstBelow ?? 0.5)) {
+      d.burstTimer = spec.burstInterval ?? 15;
+      p.hp = Math.min(p.maxHP, p.hp + (spec.stats.repairBurst ?? 10));
+      d.pulse = 0.5;
+      Particles.ring(p.x, p.y, '#44ff88', 40);
+      Particles.text(p.x, p.y - 30, `+${Math.round(spec.stats.repairBurst ?? 10)}`, '#44ff88', 14);
+    }
+  },
+
+  // Shield trickle that keeps running through the regen delay
+  updateShield(d, spec, dt) {
+    const p = State.player;
+    if (p.shield >= p.maxShield) return;
+    p.shield = Math.min(p.maxShield, p.shield + (spec.stats.shieldRegen ?? 2) * dt);
+    d.pulse = 0.2;
+  },
+
+  // Fetch far pickups. Returns true while the drone is away from the ship.
+  updateScavenger(d, spec, dt) {
+    const p = State.player;
+    const speed = (spec.speed ?? 320) * spec.power;
+
+    if (d.carrying) {
+      const pk = d.carrying;
+      if (!State.pickups.includes(pk)) {
+        d.carrying = null;
+        return false;
+      }
+      this.moveTo(d, p.x, p.y, speed, dt);
+      pk.x = d.x;
+      pk.y = d.y;
+      pk.vx = pk.vy = 0;
+      // Hand over inside the magnet radius
+      if (Math.hypot(p.x - d.x, p.y - d.y) < Math.max(30, p.pickupRadius * 0.5)) {
+        pk.carried = false;
+        d.carrying = null;
+      }
+      return true;
+    }
+
+    if (d.target && (!State.pickups.includes(d.target) || d.target.carried)) d.target = null;
+    if (!d.target) d.target = this.findPickup(spec);
+    if (!d.target) return false;
+
+    this.moveTo(d, d.target.x, d.target.y, speed, dt);
+    if (Math.hypot(d.target.x - d.x, d.target.y - d.y) < 12) {
+      d.carrying = d.target;
+      d.carrying.carried = true;
+      d.target = null;
+      Particles.sparks(d.x, d.y, spec.color, 4);
+    }
+    return true;
+  },
+
+  // Nearest pickup outside the magnet but inside collectRange
+  findPickup(spec) {
+    const p = State.player;
+    const range = spec.stats.collectRange ?? 120;
+    let best = null;
+    let bestDist = Infinity;
+    for (const pk of State.pickups) {
+      if (pk.carried) continue;
+      const dist = Math.hypot(pk.x - p.x, pk.y - p.y);
+      if (dist <= p.pickupRadius || dist > p.pickupRadius + range) continue;
+      if (dist < bestDist) {
+        best = pk;
+        bestDist = dist;
+      }
+    }
+    return best;
+  },
+
+  moveTo(d, x, y, speed, dt) {
+    const dx = x - d.x, dy = y - d.y;
+    const dist = Math.hypot(dx, dy);
+    if (dist < 1) return;
+    const step = Math.min(dist, speed * dt);
+    d.x += (dx / dist) * step;
+    d.y += (dy / dist) * step;
+  },
+
+  // ========== DRAWING ==========
+
+  draw(ctx) {
+    const d = this.drone;
+    const spec = State.player.drone;
+    if (!d || !spec) return;
+    const p = State.player;
+
+    // Support tether while repairing / shielding
+    if (d.pulse > 0) {
+      ctx.globalAlpha = Math.min(1, d.pulse * 2) * 0.6;
+      ctx.strokeStyle = spec.type === 'repair' ? '#44ff88' : '#66ddff';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(d.x, d.y);
+      ctx.lineTo(p.x, p.y);
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+    }
+
+    // Body: small diamond in the item's rarity colour
+    const size = 6 + spec.power;
+    ctx.save();
+    ctx.translate(d.x, d.y);
+    ctx.rotate(d.orbit * 2);
+    ctx.fillStyle = '#1a2233';
+    ctx.strokeStyle = ctx.shadowColor = spec.color;
+    ctx.shadowBlur = 8;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(0, -size);
+    ctx.lineTo(size, 0);
+    ctx.lineTo(0, size);
+    ctx.lineTo(-size, 0);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+    ctx.shadowBlur = 0;
+  }
+};
+
+export default Drones;
@@ -0,0 +1,320 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// ELITEAFFIXES.js - Rolled Elite Monster Affixes
+// ============================================================
+// Affixes are defined in data/eliteAffixes.json and built from
+// generic effects, so new affixes need no code:
+//   stats     - hp / damage / speed / size / fireRate multipliers
+//   shield    - regenerating shield (hpPct of max HP)
+//   teleport  - blink around the player while engaged
+//   trail     - damaging ground pools left behind (optional status)
+//   reflect   - chance to send a bullet back when a projectile hits
+//   lifesteal - heal pct (fraction) of the damage dealt to the player
+//   inflict   - status effect spec applied on hitting the player
+//   summon    - periodically call in minions
+// Rolls use the zone encounters seed + spawn position, so the same
+// elite always gets the same affixes. Power scales with depth.
+
+import { State } from './State.js';
+import { AI } from './AI.js';
+import { Enemies } from './Enemies.js';
+import { Bullets } from './Bullets.js';
+import { Player } from './Player.js';
+import { Particles } from './Particles.js';
+import { Collision } from './Collision.js';
+import { StatusEffects } from './StatusEffects.js';
+import { SeededRandom } from './world/SeededRandom.js';
+import { seedFromParts } from './world/SeedUtil.js';
+
+export const EliteAffixes = {
+  pools: [],    // Molten trail ground hazards
+  poolStatusTimer: 0,   // Seconds until standing in a pool rolls its status again
+
+  getConfig() {
+    return State.data.config?.eliteAffixes || {};
+  },
+
+  // Affix count for a depth: config.countByDepth = [[minDepth, count], ...]
+  getCount(depth) {
+    const table = this.getConfig().countByDepth || [[1, 1], [25, 2], [60, 3]];
+    let count = 1;
+    for (const [minDepth, n] of table) {
+      if (depth >= minDepth) count = n;
+    }
+    return count;
+  },
+
+  // Effect power multiplier for a depth
+  getScale(depth) {
+    const cfg = this.getConfig();
+    return Math.min(cfg.maxScale ?? 3, 1 + (depth - 1) * (cfg.depthScale ?? 0.015));
+  },
+
+  // Deterministic affix roll for an elite spawn
+  roll(spawn, depth) {
+    const defs = State.data.eliteAffixes || {};
+    const zoneSeed = State.world?.currentZone?.seeds?.encounters ?? 0;
+    const rng = new SeededRandom(seedFromParts(zoneSeed, 'ELITE_AFFIX', spawn.x | 0, spawn.y | 0));
+
+    let candidates = Object.entries(defs)
+      .filter(([, def]) => (def.minDepth ?? 1) <= depth)
+      .map(([id, def]) => ({ id, weight: def.weight ?? 1 }));
+
+    const picked = [];
+    const count = this.getCount(depth);
+    for (let i = 0; i < count && candidates.length > 0; i++) {
+      let r = rng.next() * candidates.reduce((sum, c) => sum + c.weight, 0);
+      let choice = candidates[candidates.length - 1];
+      for (const c of candidates) {
+        r -= c.weight;
+        if (r <= 0) { choice = c; break; }
+      }
+      picked.push(choice.id);
+      candidates = candidates.filter(c => c !== choice);
+    }
+    return picked;
+  },
+
+  // Apply rolled affixes to a freshly spawned elite
+  apply(e, ids, depth) {
+    const defs = State.data.eliteAffixes || {};
+    const scale = this.getScale(depth);
+    e.affixes = [];
+    e.affixState = { scale, teleportTimer: 0, trailTimer: 0, summonTimer: 0, shieldDelay: 0 };
+
+    for (const id of ids) {
+      const def = defs[id];
+      if (!def) continue;
+      e.affixes.push({ id, name: def.name || id, color: def.color || '#ffaa00', effects: def.effects || {} });
+
+      const fx = def.effects || {};
+      if (fx.stats) {
+        const s = fx.stats;
+        e.maxHP *= s.hp ?? 1;
+        e.hp = e.maxHP;
+        e.damage *= s.damage ?? 1;
+        e.speed *= s.speed ?? 1;
+        e.size *= s.size ?? 1;
+        e.shootInterval /= s.fireRate ?? 1;
+      }
+      if (fx.shield) {
+        e.eliteShieldMax = e.maxHP * fx.shield.hpPct * scale;
+        e.eliteShield = e.eliteShieldMax;
+      }
+      if (fx.teleport) e.affixState.teleportTimer = fx.teleport.interval ?? 4;
+      if (fx.summon) e.affixState.summonTimer = (fx.summon.interval ?? 7) * 0.5;
+    }
+    return e;
+  },
+
+  // Merged effect lookup (first affix that defines it)
+  getEffect(e, key) {
+    for (const a of e.affixes || []) {
+      if (a.effects[key]) return a.effects[key];
+    }
+    return null;
+  },
+
+  // ========== PER-FRAME ==========
+
+  update(e, dt) {
+    const st = e.affixState;
+    if (!st) return;
+    const engaged = AI.isAggro(e) && e.ai.state !== 'alert';
+
+    // Shield regen after a quiet period
+    const shield = this.getEffect(e, 'shield');
+    if (shield && e.eliteShield < e.eliteShieldMax) {
+      st.shieldDelay -= dt;
+      if (st.shieldDelay <= 0) {
+        e.eliteShield = Math.min(e.eliteShieldMax, e.eliteShield + e.eliteShieldMax * (shield.regenPct ?? 0.15) * dt);
+      }
+    }
+
+    const teleport = this.getEffect(e, 'teleport');
+    if (teleport && engaged) {
+      st.teleportTimer -= dt;
+      if (st.teleportTimer <= 0) {
+        st.teleportTimer = teleport.interval ?? 4;
+        this.teleport(e, teleport);
+      }
+    }
+
+    const trail = this.getEffect(e, 'trail');
+    if (trail && Math.hypot(e.vx, e.vy) > 5) {
+      st.trailTimer -= dt;
+      if (st.trailTimer <= 0) {
+        st.trailTimer = trail.interval ?? 0.3;
+        if (this.pools.length >= (this.getConfig().maxPools ?? 150)) this.pools.shift();
+        this.pools.push({
+          x: e.x, y: e.y,
+          radius: trail.radius ?? 28,
+          life: trail.duration ?? 3,
+          maxLife: trail.duration ?? 3,
+          dps: e.damage * (trail.dpsMult ?? 0.6) * st.scale,
+          color: trail.color || '#ff5500',
+          damageType: trail.damageType || 'thermal',
+          status: trail.status
+        });
+      }
+    }
+
+    const summon = this.getEffect(e, 'summon');
+    if (summon && engaged) {
+      st.summonTimer -= dt;
+      if (st.summonTimer <= 0) {
+        st.summonTimer = summon.interval ?? 7;
+        this.summon(e, summon);
+      }
+    }
+  },
+
+  // Blink to a random spot around the player
+  teleport(e, spec) {
+    const p = State.player;
+    const zone = State.world?.currentZone;
+    const a = Math.random() * Math.PI * 2;
+    const d = (spec.minRange ?? 140) + Math.random() * ((spec.maxRange ?? 260) - (spec.minRange ?? 140));
+
+    Particles.ring(e.x, e.y, '#cc88ff', e.size * 1.5);
+    e.x = p.x + Math.cos(a) * d;
+    e.y = p.y + Math.sin(a) * d;
+    if (zone) {
+      e.x = Math.max(e.size, Math.min(zone.width - e.size, e.x));
+      e.y = Math.max(e.size, Math.min(zone.height - e.size, e.y));
+    }
+    Collision.resolveEntity(e, e.size);
+    Particles.ring(e.x, e.y, '#cc88ff', e.size * 1.5);
+  },
+
+  summon(e, spec) {
+    const alive = State.enemies.filter(x => !x.dead && x.summonerId === e.id).length;
+    const count = Math.min(spec.count ?? 2, (spec.max ?? 4) - alive);
+    for (let i = 0; i < count; i++) {
+      const a = (i / Math.max(1, count)) * Math.PI * 2 + Math.random();
+      const minion = Enemies.spawn(spec.type || 'grunt', e.x + Math.cos(a) * 60, e.y + Math.sin(a) * 60, false, false);
+      minion.level = e.level;
+      minion.patrolOrigin = { x: e.x, y: e.y };
+      Collision.resolveEntity(minion, minion.size);
+      State.modules?.World?.trackMinion?.(minion, e);
+      AI.alert(minion);
+      Particles.ring(minion.x, minion.y, '#88ff66', 25);
+    }
+  },
+
+  // Tick ground pools (called once per frame from Enemies.update)
+  updatePools(dt) {
+    const p = State.player;
+    let statusPool = null;
+    this.poolStatusTimer -= dt;
+    for (let i = this.pools.length - 1; i >= 0; i--) {
+      const pool = this.pools[i];
+      pool.life -= dt;
+      if (pool.life <= 0) {
+        this.pools.splice(i, 1);
+        continue;
+      }
+      if (Math.hypot(p.x - pool.x, p.y - pool.y) < pool.radius + p.radius) {
+        Player.takeDamage(pool.dps * dt, pool.damageType, { dot: true });
+        if (pool.status && !statusPool) statusPool = pool;
+      }
+    }
+
+    // Status rolls on entry, then once per poolStatusInterval (overlapping pools don't stack rolls)
+    if (statusPool && this.poolStatusTimer <= 0) {
+      this.poolStatusTimer = this.getConfig().poolStatusInterval ?? 1;
+      StatusEffects.applySpec(p, statusPool.status, statusPool.dps);
+    }
+  },
+
+  clear() {
+    this.pools = [];
+    this.poolStatusTimer = 0;
+  },
+
+  // ========== HOOKS ==========
+
+  // Incoming damage: shield soaks first, reflect may bounce a bullet back
+  // (projectile hits only, not DoT, novas or blasts).
+  // Returns the damage that reaches HP.
+  onDamaged(e, amount, source = null) {
+    const st = e.affixState;
+
+    const reflect = this.getEffect(e, 'reflect');
+    if (reflect && source === 'projectile' && Math.random() < (reflect.chance ?? 0.2)) {
+      const p = State.player;
+      const a = Math.atan2(p.y - e.y, p.x - e.x);
+      const speed = reflect.speed ?? 320;
+      Bullets.spawnEnemy({
+        x: e.x, y: e.y,
+        vx: Math.cos(a) * speed,
+        vy: Math.sin(a) * speed,
+        damage: amount * (reflect.damageMult ?? 0.5) * st.scale,
+        damageType: e.damageType,
+        size: 5,
+        color: '#ffffff'
+      });
+    }
+
+    if (e.eliteShield > 0) {
+      const absorbed = Math.min(e.eliteShield, amount);
+      e.eliteShield -= absorbed;
+      amount -= absorbed;
+      st.shieldDelay = this.getEffect(e, 'shield')?.regenDelay ?? 3;
+    }
+    return amount;
+  },
+
+  // Enemy bullet from this elite hit the player
+  onPlayerHit(e, damage) {
+    const inflict = this.getEffect(e, 'inflict');
+    if (inflict) StatusEffects.applySpec(State.player, inflict, damage * e.affixState.scale);
+
+    const lifesteal = this.getEffect(e, 'lifesteal');
+    if (!lifesteal || e.dead) return;
+    e.hp = Math.min(e.maxHP, e.hp + damage * (lifesteal.pct ?? 0.3));
+    Particles.sparks(e.x, e.y, '#cc0033', 4);
+  },
+
+  // ========== DRAWING ==========
+
+  // Ground pools (world space, under enemies)
+  draw(ctx) {
+    for (const pool of this.pools) {
+      ctx.globalAlpha = 0.35 * Math.min(1, pool.life / pool.maxLife * 2);
+      ctx.fillStyle = pool.color;
+      ctx.beginPath();
+      ctx.arc(pool.x, pool.y, pool.radius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.globalAlpha = 1;
+  },
+
+  // Affix name tags + shield ring for one elite
+  drawTags(ctx, e) {
+    if (e.eliteShield > 0) {
+      ctx.strokeStyle = `rgba(102, 204, 255, ${0.3 + 0.5 * e.eliteShield / e.eliteShieldMax})`;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(e.x, e.y, e.size * 1.3, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+
+    ctx.font = 'bold 10px Orbitron';
+    ctx.textAlign = 'center';
+    const y = e.y - e.size - 18;
+    const label = e.affixes.map(a => a.name).join(' · ');
+    let x = e.x - ctx.measureText(label).width / 2;
+    ctx.textAlign = 'left';
+    e.affixes.forEach((a, i) => {
+      const text = (i > 0 ? ' · ' : '') + a.name;
+      ctx.fillStyle = a.color;
+      ctx.fillText(text, x, y);
+      x += ctx.measureText(text).width;
+    });
+  }
+};
+
+export default EliteAffixes;
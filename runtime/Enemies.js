@@ -6,6 +6,15 @@
 // ============================================================
 
 import { State } from './State.js';
+import { Collision } from './Collision.js';
+import { AI } from './AI.js';
+import { Boss } from './Boss.js';
+import { BulletPatterns } from './BulletPatterns.js';
+import { EliteAffixes } from './EliteAffixes.js';
+import { Archetypes } from './Archetypes.js';
+import { StatusEffects } from './StatusEffects.js';
+import { DamageTypes } from './DamageTypes.js';
+import { DepthRules } from './world/DepthRules.js';
 
 export const Enemies = {
   // Spawn an enemy
@@ -25,6 +34,11 @@ export const Enemies = {
     const cfg = State.data.config?.waves || {};
     const eliteMult = cfg.eliteHPMult || 2.5;
     const bossMult = cfg.bossHPMult || 8;
+    const aiCfg = State.data.config?.ai || {};
+    
+    // Zone modifier effects (1 outside exploration)
+    const hpMod = isElite ? DepthRules.effect('eliteHP') : 1;
+    const baseHP = enemyData.hp * hpScale * (isElite ? eliteMult : 1) * (isBoss ? bossMult : 1) * hpMod;
     
     const enemy = {
       id: 'e_' + ((State.run.enemySerial = (State.run.enemySerial || 0) + 1) >>> 0).toString(36),
@@ -33,10 +47,10 @@ export const Enemies = {
       y: y,
       vx: 0,
       vy: 0,
-      hp: enemyData.hp * hpScale * (isElite ? eliteMult : 1) * (isBoss ? bossMult : 1),
-      maxHP: enemyData.hp * hpScale * (isElite ? eliteMult : 1) * (isBoss ? bossMult : 1),
+      hp: baseHP,
+      maxHP: baseHP,
       damage: enemyData.damage * dmgScale,
-      speed: enemyData.speed,
+      speed: enemyData.speed * DepthRules.effect('enemySpeed'),
       score: enemyData.score * (isElite ? 3 : 1) * (isBoss ? 10 : 1),
       xp: Math.floor(enemyData.xp * xpScale * (isElite ? 2 : 1) * (isBoss ? 5 : 1)),
       color: isElite ? '#ffaa00' : (isBoss ? '#ff3355' : enemyData.color),
@@ -46,7 +60,14 @@ export const Enemies = {
       pattern: enemyData.pattern,
       patternTime: 0,
       shootTimer: 1 + Math.random() * 2,
-      shootInterval: enemyData.shootInterval || (isBoss ? 0.6 : (isElite ? 1.2 : 2.5)),
+      shootInterval: (enemyData.shootInterval || (isBoss ? 0.6 : (isElite ? 1.2 : 2.5))) / DepthRules.effect('enemyFireRate'),
+      aggroRadius: enemyData.aggroRadius || (isBoss ? (aiCfg.bossAggroRadius || 900) : (aiCfg.aggroRadius || 350)),
+      attackRange: enemyData.attackRange || aiCfg.attackRange || 420,
+      bulletPattern: (isElite && enemyData.eliteBulletPattern) || enemyData.bulletPattern || null,
+      behavior: enemyData.behavior || null,
+      stationary: !!enemyData.stationary,
+      damageType: enemyData.damageType || DamageTypes.getConfig().enemyDefault || 'kinetic',
+      resists: StatusEffects.enemyResists(enemyData, isElite, isBoss),
       dead: false
     };
     
@@ -73,6 +94,9 @@ export const Enemies = {
       patternTime: 0,
       shootTimer: 3,
       shootInterval: 3,
+      aggroRadius: 350,
+      attackRange: 420,
+      bulletPattern: null,
       dead: false
     };
   },
@@ -105,6 +129,31 @@ export const Enemies = {
     }
   },
   
+  // Calculate depth scaling (config.depthScaling); wave scaling outside exploration
+  getWorldScale() {
+    const depth = State.world?.currentZone?.depth;
+    if (!depth) {
+      const s = this.getWaveScale();
+      return { hpScale: s, dmgScale: s, xpScale: s };
+    }
+    
+    const cfg = State.data.config?.depthScaling || {};
+    const pivot = cfg.pivot || 50;
+    const early = cfg.early || {};
+    const late = cfg.late || {};
+    
+    // 1 + a*d^p on the early curve, late curve stacks on top past the pivot
+    const axis = (key) => {
+      let v = 1 + (early[key + 'A'] || 0) * Math.pow(Math.min(depth, pivot) - 1, early[key + 'P'] || 1);
+      if (depth > pivot) {
+        v += (late[key + 'A'] || 0) * Math.pow(depth - pivot, late[key + 'P'] || 1);
+      }
+      return v;
+    };
+    
+    return { hpScale: axis('hp'), dmgScale: axis('dmg'), xpScale: axis('xp') };
+  },
+  
   // Spawn a wave
   spawnWave(wave, canvasWidth) {
     const w = canvasWidth || 800;
@@ -143,25 +192,69 @@ export const Enemies = {
       if (e.dead) continue;
       
       e.patternTime += dt;
-      this.applyPattern(e, dt, canvas);
       
-      e.x += e.vx * dt;
-      e.y += e.vy * dt;      // Off screen check (wave mode only)
+      // Burn / poison ticks can kill before the enemy acts
+      StatusEffects.update(e, dt);
+      if (e.dead) continue;
+      
+      // Exploration enemies think for themselves; wave mode keeps scripted patterns
+      const worldMode = !!State.world?.currentZone;
+      if (worldMode) {
+        AI.update(e, dt);
+      } else {
+        this.applyPattern(e, dt, canvas);
+      }
+      
+      // Turrets hold position (AI still drives aggro and firing)
+      if (e.stationary) {
+        e.vx = 0;
+        e.vy = 0;
+      }
+      
+      // Steer around obstacles ahead (world mode only)
+      Collision.steer(e, e.size);
+      
+      // Slow / freeze / stun scale movement (velocity itself is left alone)
+      const moveMult = StatusEffects.speedMult(e);
+      e.x += e.vx * dt * moveMult;
+      e.y += e.vy * dt * moveMult;
+      Collision.resolveEntity(e, e.size);
+      
+      // Off screen check (wave mode only)
       if (!State.world?.currentZone) {
         if (e.y > canvas.height + 100 || e.x < -100 || e.x > canvas.width + 100) {
           e.dead = true;
           continue;
         }
       }
-      // Shooting
-      e.shootTimer -= dt;
-      if (e.shootTimer <= 0 && e.y > 30 && e.y < canvas.height * 0.6) {
+      
+      // Elite affix behaviours (shield regen, teleport, trail, summon)
+      if (e.affixes) EliteAffixes.update(e, dt);
+      
+      // Archetype behaviours (bomber, healer, cloaker, summoner)
+      if (e.behavior) Archetypes.update(e, dt);
+      
+      // Bosses fire from their phase script instead
+      if (e.boss) {
+        Boss.update(e, dt);
+        continue;
+      }
+      
+      // Shooting (world mode: engaged, in range, clear line of fire)
+      e.shootTimer -= dt * StatusEffects.fireRateMult(e);
+      const canShoot = worldMode ? AI.canShoot(e) : (e.y > 30 && e.y < canvas.height * 0.6);
+      if (e.shootTimer <= 0 && canShoot) {
         e.shootTimer = e.shootInterval + Math.random();
         this.shoot(e);
       }
     }
     
     State.enemies = State.enemies.filter(e => !e.dead);
+    
+    // Burst follow-ups and lasers
+    BulletPatterns.update(dt);
+    EliteAffixes.updatePools(dt);
+    Archetypes.updateZones(dt);
   },
   
   // Apply movement pattern
@@ -200,29 +293,36 @@ export const Enemies = {
     if (e.x > canvas.width - 30) e.vx = -Math.abs(e.vx);
   },
   
-  // Enemy shoots
+  // Enemy shoots (pattern from enemies.json bulletPatterns)
   shoot(e) {
-    const p = State.player;
-    const dx = p.x - e.x, dy = p.y - e.y;
-    const angle = Math.atan2(dy, dx) + (Math.random() - 0.5) * 0.2;
-    const speed = 280;
-    
-    State.enemyBullets.push({
-      x: e.x, y: e.y + e.size / 2,
-      vx: Math.cos(angle) * speed,
-      vy: Math.sin(angle) * speed,
-      damage: e.damage,
-      size: e.isBoss ? 8 : 5
-    });
+    BulletPatterns.fire(e, e.bulletPattern);
+    if (e.behavior) Archetypes.reveal(e);
   },
   
-  // Damage an enemy
-  damage(enemy, amount, isCrit = false) {
+  // Damage an enemy (damageType: id or mix, null = untyped).
+  // enemy.lastDamage = HP the hit actually removed (0 if it was blocked)
+  damage(enemy, amount, isCrit = false, damageType = null, source = null) {
+    enemy.lastDamage = 0;
     if (enemy.dead) return false;
     
+    // Boss phase transition shield
+    if (enemy.invulnerable > 0) return null;
+    
+    // Type resistances, then shock stacks amplify incoming damage
+    amount *= DamageTypes.multiplier(enemy, damageType);
+    amount *= StatusEffects.damageTakenMult(enemy);
+    
+    // Elite shield / reflect
+    if (enemy.affixes) amount = EliteAffixes.onDamaged(enemy, amount, source);
+    if (enemy.behavior) Archetypes.reveal(enemy);
+    
+    enemy.lastDamage = Math.max(0, Math.min(amount, enemy.hp));
     enemy.hp -= amount;
     State.run.stats.damageDealt += amount;
     
+    // Getting shot always pulls aggro (even from out of sight)
+    if (State.world?.currentZone) AI.alert(enemy);
+    
     // Hit particles
     for (let i = 0; i < (isCrit ? 10 : 5); i++) {
       State.particles.push({
@@ -283,6 +383,9 @@ export const Enemies = {
     for (const e of State.enemies) {
       if (e.dead) continue;
       
+      // Cloakers fade in as the player approaches
+      ctx.globalAlpha = e.behavior ? Archetypes.getAlpha(e) : 1;
+      
       ctx.fillStyle = e.color;
       ctx.shadowColor = e.color;
       ctx.shadowBlur = e.isBoss ? 25 : (e.isElite ? 18 : 10);
@@ -297,6 +400,17 @@ export const Enemies = {
         }
         ctx.closePath();
         ctx.fill();
+      } else if (e.stationary) {
+        // Turret: square base with a barrel toward the player
+        const p = State.player;
+        const a = Math.atan2(p.y - e.y, p.x - e.x);
+        ctx.fillRect(e.x - e.size * 0.8, e.y - e.size * 0.8, e.size * 1.6, e.size * 1.6);
+        ctx.strokeStyle = e.color;
+        ctx.lineWidth = 6;
+        ctx.beginPath();
+        ctx.moveTo(e.x, e.y);
+        ctx.lineTo(e.x + Math.cos(a) * e.size * 1.3, e.y + Math.sin(a) * e.size * 1.3);
+        ctx.stroke();
       } else {
         ctx.beginPath();
         ctx.moveTo(e.x, e.y - e.size);
@@ -308,6 +422,20 @@ export const Enemies = {
       }
       ctx.shadowBlur = 0;
       
+      // Status effect rings
+      StatusEffects.drawTint(ctx, e, e.size);
+      
+      // Alert telegraph
+      if (e.ai?.state === 'alert') {
+        ctx.fillStyle = '#ffdd00';
+        ctx.font = 'bold 18px Orbitron';
+        ctx.textAlign = 'center';
+        ctx.fillText('!', e.x, e.y - e.size - 16);
+      }
+      
+      // Elite affix name tags
+      if (e.affixes?.length) EliteAffixes.drawTags(ctx, e);
+      
       // HP bar
       if (e.hp < e.maxHP) {
         const barW = e.size * 2;
@@ -318,6 +446,7 @@ export const Enemies = {
         ctx.fillRect(e.x - barW / 2 + 1, e.y - e.size - 11, (barW - 2) * pct, 4);
       }
     }
+    ctx.globalAlpha = 1;
   }
 };
 
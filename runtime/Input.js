@@ -7,6 +7,8 @@
 
 import { State } from './State.js';
 import { World } from './world/World.js';
+import { Dash } from './Dash.js';
+import { ActiveSkills } from './ActiveSkills.js';
 
 export const Input = {
   canvas: null,
@@ -24,7 +26,7 @@ export const Input = {
     canvas.addEventListener('mousemove', (e) => this.onMouseMove(e));
     canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
     canvas.addEventListener('mouseup', (e) => this.onMouseUp(e));
-    canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+    canvas.addEventListener('contextmenu', (e) => e.preventDefault()); // RMB = secondary fire
     
     // Track canvas position for resize
     window.addEventListener('resize', () => this.updateRect());
@@ -45,6 +47,9 @@ export const Input = {
   
   onKeyDown(e) {
     const input = State.input;
+    
+    // Typing in a hub text field (build names) is not game input
+    if (e.target?.tagName === 'INPUT') return;
 
     // Dev hotkeys (SHIFT+N/P/L) for rapid zone variety smoke-tests
     const dev = State.data?.config?.debug?.devHotkeys;
@@ -108,6 +113,11 @@ export const Input = {
         input.fire = true;
         break;
     }
+    
+    if (!e.repeat && Dash.isKey(e.code)) input.dash = true;
+    
+    const slot = ActiveSkills.keySlot(e.code);
+    if (!e.repeat && slot !== -1) input.skill = slot;
   },
   
   onKeyUp(e) {
@@ -147,12 +157,16 @@ export const Input = {
   onMouseDown(e) {
     if (e.button === 0) { // Left click
       State.input.fire = true;
+    } else if (e.button === 2) { // Right click
+      State.input.fire2 = true;
     }
   },
   
   onMouseUp(e) {
     if (e.button === 0) {
       State.input.fire = false;
+    } else if (e.button === 2) {
+      State.input.fire2 = false;
     }
   },
   
@@ -75,7 +75,7 @@ export const Items = {
     
     for (let i = 0; i < numAffixes; i++) {
       const type = i < numAffixes / 2 ? 'prefix' : 'suffix';
-      const affix = getRandomAffix(rarity, type, rng);
+      const affix = getRandomAffix(this.getAffixPool(rarity, type), rng);
       
       // Avoid duplicate stat types
       if (affix && !usedStats.has(affix.stat)) {
@@ -101,12 +101,19 @@ export const Items = {
     return item;
   },
   
-  // Roll rarity based on weights and player luck
-  rollRarity(allowedRarities) {
+  // All affixes of one type (prefix / suffix) that can roll at this rarity
+  getAffixPool(rarity, type) {
+    const groups = State.data.affixes?.[type === 'prefix' ? 'prefixes' : 'suffixes'] || {};
+    return Object.values(groups).flat().filter(a => !a.tiers || a.tiers.includes(rarity));
+  },
+  
+  // Roll rarity based on weights, player luck and rarityBoost
+  rollRarity(allowedRarities, rng = null) {
     const rarities = State.data.rarities;
     if (!rarities) return allowedRarities[0];
     
     const luck = State.player.luck || 0;
+    const boost = 1 + (State.player.rarityBoost || 0) / 100;
     
     // Build weighted pool
     let weights = {};
@@ -120,6 +127,7 @@ export const Items = {
         if (rarity !== 'common') {
           weight *= (1 + luck * 0.02); // +2% per luck point
         }
+        if (!['common', 'uncommon'].includes(rarity)) weight *= boost;
         weights[rarity] = weight;
         total += weight;
       }
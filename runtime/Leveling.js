@@ -9,6 +9,8 @@ import { State } from './State.js';
 import { getConfig } from './DataLoader.js';
 import Stats from './Stats.js';
 import { autoSave } from './Save.js';
+import { DepthRules } from './world/DepthRules.js';
+import { ActiveSkills } from './ActiveSkills.js';
 
 export const Leveling = {
   // Calculate XP required for a level
@@ -18,20 +20,38 @@ export const Leveling = {
     return Math.floor(baseXP * Math.pow(scale, level - 1));
   },
   
+  // Level cap (config 0 or <= 0 means "unlimited")
+  getMaxLevel() {
+    const maxLevelCfg = getConfig('progression.maxLevel', 0);
+    return (typeof maxLevelCfg === 'number' && maxLevelCfg > 0) ? maxLevelCfg : Infinity;
+  },
+  
+  isMaxLevel() {
+    return State.meta.level >= this.getMaxLevel();
+  },
+  
   // Add XP and check for level up
   addXP(amount) {
-    const maxLevelCfg = getConfig('progression.maxLevel', 0);
-    // 0 or <= 0 means "unlimited"
-    const maxLevel = (typeof maxLevelCfg === 'number' && maxLevelCfg > 0) ? maxLevelCfg : Infinity;
+    const maxLevel = this.getMaxLevel();
 
+    // Zone modifier risk/reward bonus and xpBonus (%), rounded only when one applies
+    const mult = DepthRules.reward('xp') * (1 + (State.player.xpBonus || 0) / 100);
+    if (mult !== 1) amount = Math.round(amount * mult);
+    State.run.xpEarned += amount;
+    
+    // At the level cap all XP goes to mastery
     if (State.meta.level >= maxLevel) {
-      // Mastery XP or similar could be added here
+      this.addMasteryXP(amount);
       return false;
     }
     
-    // Add to meta and run tracking
+    // From unlockLevel on, a share also feeds mastery in parallel
+    if (State.meta.level >= getConfig('progression.mastery.unlockLevel', 10)) {
+      this.addMasteryXP(amount * getConfig('progression.mastery.parallelShare', 0.25));
+    }
+    
+    // Add to meta
     State.meta.xp += amount;
-    State.run.xpEarned += amount;
     
     // Check for level ups
     let leveledUp = false;
@@ -85,6 +105,68 @@ export const Leveling = {
     };
   },
   
+  // ========== MASTERY ==========
+  
+  masteryXPForLevel(level) {
+    const baseXP = getConfig('progression.mastery.baseXP', 1000);
+    const scale = getConfig('progression.mastery.xpScale', 1.05);
+    return Math.floor(baseXP * Math.pow(scale, level));
+  },
+  
+  // Mastery levels are uncapped; each one grants mastery points
+  addMasteryXP(amount) {
+    const mastery = State.meta.mastery;
+    amount = Math.round(amount);
+    if (amount <= 0) return false;
+    
+    mastery.xp += amount;
+    State.run.masteryXPEarned += amount;
+    
+    let leveledUp = false;
+    while (mastery.xp >= this.masteryXPForLevel(mastery.level)) {
+      mastery.xp -= this.masteryXPForLevel(mastery.level);
+      mastery.level++;
+      mastery.points += getConfig('progression.mastery.pointsPerLevel', 1);
+      leveledUp = true;
+    }
+    
+    if (leveledUp) {
+      console.log(`🌟 Mastery ${mastery.level} (${mastery.points} points to spend)`);
+      State.ui.masteryUp = mastery.level;
+      autoSave();
+    }
+    return leveledUp;
+  },
+  
+  getMasteryProgress() {
+    const mastery = State.meta.mastery;
+    return mastery.xp / this.masteryXPForLevel(mastery.level);
+  },
+  
+  canAllocateMastery(bonusId) {
+    const def = State.data.mastery?.[bonusId];
+    if (!def || State.meta.mastery.points <= 0) return false;
+    const current = State.meta.mastery.spent[bonusId] || 0;
+    return !(def.maxPoints > 0 && current >= def.maxPoints);
+  },
+  
+  // Spend a mastery point on a repeatable bonus
+  allocateMastery(bonusId) {
+    if (!this.canAllocateMastery(bonusId)) return false;
+    
+    const mastery = State.meta.mastery;
+    mastery.spent[bonusId] = (mastery.spent[bonusId] || 0) + 1;
+    mastery.points--;
+    
+    Stats.calculate();
+    autoSave();
+    
+    const def = State.data.mastery[bonusId];
+    console.log(`🌟 ${def.name} increased to ${mastery.spent[bonusId]}`);
+    
+    return true;
+  },
+  
   // Get current XP progress (0-1)
   getProgress() {
     const required = this.xpForLevel(State.meta.level);
@@ -167,6 +249,9 @@ export const Leveling = {
     State.meta.skills[treeId][skillId]++;
     State.meta.skillPoints--;
     
+    // Active skills take the next free key slot
+    ActiveSkills.assignSlot(skillId);
+    
     // Recalculate stats
     Stats.calculate();
     autoSave();
@@ -177,6 +262,102 @@ export const Leveling = {
     return true;
   },
   
+  // ========== RESPEC ==========
+  
+  // Scrap per refunded skill / stat point (grows with level)
+  getRespecCost(points = 1) {
+    const base = getConfig('progression.respecBase', 15);
+    const perLevel = getConfig('progression.respecPerLevel', 3);
+    return Math.round((base + perLevel * State.meta.level) * points);
+  },
+  
+  // Learned skills that need more ranks of this skill than it would keep
+  getUnlearnBlockers(treeId, skillId) {
+    const tree = State.data.skills?.[treeId];
+    const learned = State.meta.skills[treeId] || {};
+    const remaining = (learned[skillId] || 0) - 1;
+    return Object.entries(tree?.skills || {})
+      .filter(([id, s]) => (learned[id] || 0) > 0 && s.requires?.skill === skillId && s.requires.rank > remaining)
+      .map(([, s]) => s.name);
+  },
+  
+  canUnlearnSkill(treeId, skillId) {
+    if (!State.data.skills?.[treeId]?.skills[skillId]) return false;
+    if ((State.meta.skills[treeId]?.[skillId] || 0) <= 0) return false;
+    if (State.meta.scrap < this.getRespecCost(1)) return false;
+    return this.getUnlearnBlockers(treeId, skillId).length === 0;
+  },
+  
+  // Refund one rank of a skill for scrap
+  unlearnSkill(treeId, skillId) {
+    if (!this.canUnlearnSkill(treeId, skillId)) return false;
+    
+    State.meta.scrap -= this.getRespecCost(1);
+    State.meta.skills[treeId][skillId]--;
+    State.meta.skillPoints++;
+    if (State.meta.skills[treeId][skillId] <= 0) {
+      delete State.meta.skills[treeId][skillId];
+      ActiveSkills.releaseSlot(skillId);
+    }
+    
+    Stats.calculate();
+    autoSave();
+    
+    const skill = State.data.skills[treeId].skills[skillId];
+    console.log(`↩️ Refunded ${skill.name} (Rank ${State.meta.skills[treeId][skillId] || 0})`);
+    
+    return true;
+  },
+  
+  // Skill points spent across all trees
+  getSpentSkillPoints(skills = State.meta.skills) {
+    return Object.values(skills)
+      .flatMap(tree => Object.values(tree))
+      .reduce((a, b) => a + b, 0);
+  },
+  
+  // Refund every skill point at once
+  respecAll() {
+    const points = this.getSpentSkillPoints();
+    const cost = this.getRespecCost(points);
+    if (points <= 0 || State.meta.scrap < cost) return false;
+    
+    State.meta.scrap -= cost;
+    State.meta.skills = {};
+    State.meta.activeSlots = [];
+    State.meta.skillPoints += points;
+    
+    Stats.calculate();
+    autoSave();
+    
+    console.log(`↩️ Full respec: ${points} skill points refunded for ${cost} scrap`);
+    
+    return true;
+  },
+  
+  // Pilot stat points spent
+  getSpentStatPoints(stats = State.meta.stats) {
+    return Object.values(stats).reduce((a, b) => a + b, 0);
+  },
+  
+  // Refund every pilot stat point for scrap
+  resetStats() {
+    const points = this.getSpentStatPoints();
+    const cost = this.getRespecCost(points);
+    if (points <= 0 || State.meta.scrap < cost) return false;
+    
+    State.meta.scrap -= cost;
+    State.meta.stats = {};
+    State.meta.statPoints += points;
+    
+    Stats.calculate();
+    autoSave();
+    
+    console.log(`↩️ Pilot stats reset: ${points} points refunded for ${cost} scrap`);
+    
+    return true;
+  },
+  
   // Allocate stat point
   allocateStat(statId) {
     if (State.meta.statPoints <= 0) return false;
@@ -0,0 +1,239 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// OBSTACLES.js - Destructible Zone Obstacles
+// ============================================================
+// Reads the destructible/hp fields rolled by MapGenerator.
+// Asteroids break into fragments, drops use the zone loot seed
+// so the same rock always yields the same reward. Mines arm when
+// the player gets close and explode (damage rolled per depth).
+
+import { State } from './State.js';
+import { Collision } from './Collision.js';
+import { Particles } from './Particles.js';
+import { Pickups } from './Pickups.js';
+import { Player } from './Player.js';
+import { Enemies } from './Enemies.js';
+import { SeededRandom } from './world/SeededRandom.js';
+import { seedFromParts } from './world/SeedUtil.js';
+import { DepthRules } from './world/DepthRules.js';
+import { StatusEffects } from './StatusEffects.js';
+
+const COLORS = {
+  asteroid: '#777788',
+  debris: '#666677',
+  mine: '#ff4444',
+  pillar: '#8899aa'
+};
+
+export const Obstacles = {
+  // Tick hit-flash timers and mine fuses
+  update(dt) {
+    const zone = State.world?.currentZone;
+    if (!zone) return;
+
+    const cfg = State.data.config?.mines || {};
+    const triggerRadius = cfg.triggerRadius ?? 110;
+    const p = State.player;
+
+    // Iterate over a copy: detonations remove obstacles
+    for (const obs of [...zone.obstacles]) {
+      if (obs.destroyed) continue;
+      if (obs.hitFlash > 0) obs.hitFlash -= dt;
+      if (obs.type !== 'mine') continue;
+
+      if (!obs.triggered) {
+        if (Math.hypot(p.x - obs.x, p.y - obs.y) < triggerRadius + obs.radius) {
+          this.triggerMine(obs, cfg.armTime ?? 0.9);
+        }
+        continue;
+      }
+
+      obs.fuse -= dt;
+      if (obs.fuse <= 0) this.destroy(obs);
+    }
+  },
+
+  // Start (or shorten) a mine's fuse
+  triggerMine(obs, fuse) {
+    if (obs.triggered) {
+      obs.fuse = Math.min(obs.fuse, fuse);
+      return;
+    }
+    obs.triggered = true;
+    obs.fuse = fuse;
+    obs.fuseMax = fuse;
+    obs.blastRadius = this.getBlastRadius(obs);
+  },
+
+  getBlastRadius(obs) {
+    const cfg = State.data.config?.mines || {};
+    return (cfg.baseRadius ?? 70) + (obs.damage || 0) * (cfg.radiusPerDamage ?? 3);
+  },
+
+  // Damage an obstacle. Returns true if it was destroyed.
+  damage(obs, amount) {
+    if (!obs || obs.destroyed || !obs.destructible) return false;
+    if (typeof obs.hp !== 'number') return false;
+
+    if (obs.maxHP === undefined) obs.maxHP = obs.hp;
+    obs.hp -= amount;
+    obs.hitFlash = 0.08;
+
+    Particles.sparks(obs.x, obs.y, COLORS[obs.type] || '#888888', 3);
+
+    if (obs.hp <= 0) {
+      this.destroy(obs);
+      return true;
+    }
+    return false;
+  },
+
+  // Remove obstacle, spawn fragments, roll drops
+  destroy(obs) {
+    const zone = State.world?.currentZone;
+    obs.destroyed = true;
+    obs.hp = 0;
+
+    if (zone) {
+      const idx = zone.obstacles.indexOf(obs);
+      if (idx !== -1) zone.obstacles.splice(idx, 1);
+    }
+
+    const color = COLORS[obs.type] || '#888888';
+    Particles.explosion(obs.x, obs.y, color, Math.min(30, 8 + Math.floor(obs.radius / 3)), 120 + obs.radius * 2);
+    State.modules?.Camera?.triggerShake?.(Math.min(6, obs.radius / 15), 0.15);
+
+    if (obs.type === 'mine') {
+      this.detonate(obs);
+      return;
+    }
+
+    const rng = this.getRng(obs);
+    this.spawnFragments(obs, rng);
+    this.rollDrops(obs, rng);
+  },
+
+  // Zone mine blast: hurts everyone, chains into nearby mines
+  detonate(obs) {
+    const cfg = State.data.config?.mines || {};
+    this.explode(obs.x, obs.y, obs.blastRadius || this.getBlastRadius(obs), (obs.damage || 0) * (cfg.damageMult ?? 1), {
+      hitsPlayer: true,
+      enemyMult: cfg.enemyDamageMult ?? 3,
+      status: cfg.status,
+      damageType: cfg.damageType
+    });
+  },
+
+  // Area-of-effect explosion (linear falloff to the edge).
+  // options.status is a StatusEffects spec applied to everything hit,
+  // options.damageType the DamageTypes id (untyped if omitted).
+  explode(x, y, radius, damage, options = {}) {
+    const cfg = State.data.config?.mines || {};
+    const edge = cfg.edgeFalloff ?? 0.5;
+    const falloff = (dist) => 1 - (1 - edge) * Math.min(1, dist / radius);
+
+    Particles.explosion(x, y, options.color || '#ff6622', 30, radius * 2.5);
+    Particles.ring(x, y, '#ffaa44', radius * 0.6);
+    State.modules?.Camera?.triggerShake?.(Math.min(10, 3 + radius / 25), 0.25);
+
+    // Player
+    if (options.hitsPlayer) {
+      const p = State.player;
+      const dist = Math.hypot(p.x - x, p.y - y);
+      if (dist < radius + p.radius) {
+        if (Player.takeDamage(damage * falloff(dist), options.damageType)) {
+          StatusEffects.applySpec(p, options.status, damage);
+        }
+      }
+    }
+
+    // Enemies
+    const enemyDamage = damage * (options.enemyMult ?? 1);
+    for (const e of State.enemies) {
+      if (e.dead) continue;
+      const dist = Math.hypot(e.x - x, e.y - y);
+      if (dist >= radius + e.size) continue;
+      const killData = Enemies.damage(e, enemyDamage * falloff(dist), false, options.damageType);
+      if (killData) State.modules?.Bullets?.onEnemyKilled(killData);
+      else if (!e.dead) StatusEffects.applySpec(e, options.status, enemyDamage);
+    }
+
+    // Other obstacles: mines chain on a short fuse, rocks take damage
+    const zone = State.world?.currentZone;
+    if (!zone) return;
+    for (const other of Collision.queryObstacles(x, y, radius)) {
+      if (other.destroyed) continue;
+      const dist = Math.hypot(other.x - x, other.y - y);
+      if (dist >= radius + other.radius) continue;
+      if (other.type === 'mine') {
+        this.triggerMine(other, cfg.chainDelay ?? 0.15);
+      } else {
+        this.damage(other, damage * falloff(dist));
+      }
+    }
+  },
+
+  // Deterministic per-obstacle stream from the zone loot seed
+  getRng(obs) {
+    const zoneLoot = State.world?.currentZone?.seeds?.loot ?? (State.run?.seed || 0);
+    return new SeededRandom(seedFromParts(zoneLoot, 'OBSTACLE', obs.x | 0, obs.y | 0, obs.radius | 0));
+  },
+
+  // Large asteroids split into smaller ones
+  spawnFragments(obs, rng) {
+    const zone = State.world?.currentZone;
+    if (!zone || obs.type !== 'asteroid') return;
+
+    const cfg = State.data.config?.obstacles || {};
+    const minRadius = cfg.fragmentMinRadius ?? 40;
+    if (obs.radius < minRadius) return;
+
+    const countRange = cfg.fragmentCount || [2, 3];
+    const scale = cfg.fragmentScale ?? 0.5;
+    const hpScale = cfg.fragmentHPScale ?? 0.4;
+    const count = rng.int(countRange[0], countRange[1]);
+    const baseAngle = rng.range(0, Math.PI * 2);
+
+    for (let i = 0; i < count; i++) {
+      const angle = baseAngle + (i / count) * Math.PI * 2;
+      const radius = Math.max(10, Math.round(obs.radius * scale * rng.range(0.8, 1.1)));
+      const offset = obs.radius - radius;
+      const fragment = {
+        x: obs.x + Math.cos(angle) * offset,
+        y: obs.y + Math.sin(angle) * offset,
+        type: 'asteroid',
+        radius: radius,
+        rotation: rng.range(0, Math.PI * 2),
+        destructible: true,
+        hp: Math.max(4, Math.round((obs.maxHP || 20) * hpScale)),
+        damage: 0,
+        isFragment: true
+      };
+      zone.obstacles.push(fragment);
+      Collision.grid?.insert(fragment);
+    }
+  },
+
+  // Occasional cells/scrap
+  rollDrops(obs, rng) {
+    const cfg = State.data.config?.obstacles || {};
+    const dropChance = (cfg.dropChance?.[obs.type] ?? 0) * DepthRules.effect('lootQuantity');
+    if (!rng.chance(dropChance)) return;
+
+    const depth = State.world?.currentZone?.depth || 1;
+    const isScrap = rng.chance(cfg.scrapChance ?? 0.25);
+    const valueRange = isScrap ? (cfg.scrapValue || [1, 2]) : (cfg.cellsValue || [2, 4]);
+    const depthMult = 1 + Math.min(depth * 0.02, 2);
+
+    Pickups.spawn({
+      type: isScrap ? 'scrap' : 'cells',
+      x: obs.x,
+      y: obs.y,
+      value: Math.max(1, Math.round(rng.int(valueRange[0], valueRange[1]) * depthMult))
+    }, rng);
+  }
+};
+
+export default Obstacles;
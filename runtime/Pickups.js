@@ -9,6 +9,20 @@ import { State } from './State.js';
 import { Items } from './Items.js';
 
 export const Pickups = {
+  // Spawn a pickup (rng keeps the scatter deterministic when given)
+  spawn(config, rng = null) {
+    const rand = () => (rng ? rng.next() : Math.random());
+    State.pickups.push({
+      type: config.type,
+      x: config.x + (rand() - 0.5) * 20,
+      y: config.y,
+      vx: config.vx ?? (rand() - 0.5) * 40,
+      vy: config.vy ?? (-30 + rand() * 20),
+      value: config.value || 1,
+      life: config.life || 8
+    });
+  },
+  
   // Update all pickups
   update(dt, canvas) {
     const p = State.player;
@@ -16,6 +30,9 @@ export const Pickups = {
     for (let i = State.pickups.length - 1; i >= 0; i--) {
       const pk = State.pickups[i];
       
+      // Held by a scavenger drone (Drones moves it)
+      if (pk.carried) continue;
+      
       // Gravity
       pk.vy += 100 * dt;
       pk.x += pk.vx * dt;
@@ -67,11 +84,13 @@ export const Pickups = {
         this.spawnFloatText(pickup.x, pickup.y, `+${pickup.value}⚡`, '#00d4ff');
         break;
         
-      case 'scrap':
-        State.run.scrapEarned += pickup.value;
+      case 'scrap': {
+        const scrap = Math.floor(pickup.value * (1 + (State.player.scrapBonus || 0) / 100));
+        State.run.scrapEarned += scrap;
         this.spawnCollectEffect(pickup.x, pickup.y, '#ffd700');
-        this.spawnFloatText(pickup.x, pickup.y, `+${pickup.value}💰`, '#ffd700');
+        this.spawnFloatText(pickup.x, pickup.y, `+${scrap}💰`, '#ffd700');
         break;
+      }
         
       case 'item':
         const item = Items.generateRandom(pickup.rarity, pickup.itemSeed);
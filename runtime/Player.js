@@ -7,8 +7,15 @@
 
 import { State } from './State.js';
 import { Input } from './Input.js';
-import { Bullets } from './Bullets.js';
 import { Particles } from './Particles.js';
+import { Collision } from './Collision.js';
+import { StatusEffects } from './StatusEffects.js';
+import { DamageTypes } from './DamageTypes.js';
+import { Weapons } from './Weapons.js';
+import { Secondary } from './Secondary.js';
+import { Drones } from './Drones.js';
+import { Dash } from './Dash.js';
+import { ActiveSkills } from './ActiveSkills.js';
 
 export const Player = {
   
@@ -16,18 +23,27 @@ export const Player = {
     const p = State.player;
     const cfg = State.data.config?.player || {};
     
+    // ========== STATUS EFFECTS ==========
+    StatusEffects.update(p, dt);
+    const slow = StatusEffects.speedMult(p);
+    
     // ========== MOVEMENT (WASD) ==========
     const move = Input.getMovement();
     
     // Config-driven movement (defaults for snappy feel)
-    const accel = cfg.acceleration || 3000;
+    const accel = p.acceleration || cfg.acceleration || 3000;
     const friction = cfg.friction || 0.75;
     const deadzone = cfg.deadzone || 0.1;
     
-    if (Math.abs(move.dx) > deadzone || Math.abs(move.dy) > deadzone) {
+    // Dash / warp (sets the velocity itself while active)
+    const dashing = Dash.update(dt, move);
+    
+    if (dashing) {
+      // Keep the dash velocity
+    } else if (Math.abs(move.dx) > deadzone || Math.abs(move.dy) > deadzone) {
       // Accelerate towards target
-      const targetVX = move.dx * p.speed;
-      const targetVY = move.dy * p.speed;
+      const targetVX = move.dx * p.speed * slow;
+      const targetVY = move.dy * p.speed * slow;
       p.vx += (targetVX - p.vx) * Math.min(1, accel * dt / p.speed);
       p.vy += (targetVY - p.vy) * Math.min(1, accel * dt / p.speed);
     } else {
@@ -53,6 +69,9 @@ export const Player = {
         p.x = Math.max(margin, Math.min(zone.width - margin, p.x));
         p.y = Math.max(margin, Math.min(zone.height - margin, p.y));
       }
+      
+      // Obstacles block and slide the ship
+      Collision.resolveEntity(p, p.radius);
     } else {
       // Wave mode: clamp to canvas boundaries
       p.x = Math.max(margin, Math.min(canvas.width - margin, p.x));
@@ -73,72 +92,84 @@ export const Player = {
       p.angle = Input.getAimAngle(p.x, p.y);
     }
     
-    // ========== SHOOTING ==========
-    p.fireCooldown -= dt;
+    // ========== SHOOTING (weapon archetype + secondary) ==========
+    Weapons.update(dt);
+    Secondary.update(dt);
     
-    if (State.input.fire && p.fireCooldown <= 0) {
-      this.fire();
-      p.fireCooldown = 1 / p.fireRate;
-    }
+    // ========== ACTIVE SKILLS ==========
+    ActiveSkills.update(dt);
+    
+    // ========== DRONE ==========
+    Drones.update(dt);
     
     // ========== SHIELD REGEN ==========
     p.shieldRegenDelay -= dt;
     if (p.shieldRegenDelay <= 0 && p.shield < p.maxShield) {
       const cfg = State.data.config?.player;
-      const regenRate = cfg?.shieldRegenRate || 5;
+      const regenRate = p.shieldRegen || cfg?.shieldRegenRate || 5;
       p.shield = Math.min(p.maxShield, p.shield + regenRate * dt);
     }
+    
+    // ========== HULL REGEN / INVULNERABILITY ==========
+    if (p.hpRegen > 0 && p.hp > 0 && p.hp < p.maxHP) {
+      p.hp = Math.min(p.maxHP, p.hp + p.hpRegen * dt);
+    }
+    if (p.invulnTimer > 0) p.invulnTimer -= dt;
   },
   
-  fire() {
+  // Hull below the statEffects threshold (berserk / last stand)
+  isLowHull(key) {
     const p = State.player;
-    const baseAngle = p.angle;
-    const count = p.projectiles;
-    const spreadRad = (p.spread || 0) * (Math.PI / 180);
-    
-    // Calculate angles for multiple projectiles
-    let angles = [];
-    if (count === 1) {
-      angles = [baseAngle];
-    } else {
-      const totalSpread = spreadRad * (count - 1);
-      const startAngle = baseAngle - totalSpread / 2;
-      for (let i = 0; i < count; i++) {
-        angles.push(startAngle + (spreadRad * i));
-      }
-    }
-    
-    // Spawn bullets
-    for (const angle of angles) {
-      Bullets.spawn({
-        x: p.x + Math.cos(angle) * 20,
-        y: p.y + Math.sin(angle) * 20,
-        vx: Math.cos(angle) * p.bulletSpeed,
-        vy: Math.sin(angle) * p.bulletSpeed,
-        damage: p.damage,
-        piercing: p.piercing,
-        isPlayer: true,
-        crit: Math.random() * 100 < p.critChance
-      });
+    return p.hp < p.maxHP * (State.data.config?.statEffects?.[key] ?? 0.3);
+  },
+  
+  // On-hit status procs from gear (Stats: p.statusChance, in %)
+  getStatusProcs() {
+    const chances = State.player.statusChance;
+    if (!chances) return null;
+    const procs = [];
+    for (const [id, chance] of Object.entries(chances)) {
+      if (chance > 0) procs.push({ id, chance: Math.min(1, chance / 100) });
     }
-    
-    // Muzzle flash
-    Particles.spawn(p.x + Math.cos(p.angle) * 22, p.y + Math.sin(p.angle) * 22, 'muzzle');
+    return procs.length > 0 ? procs : null;
   },
   
-  takeDamage(amount) {
+  // damageType: id or mix from the source, null = untyped
+  // options.dot: damage-over-time ticks ignore and don't grant i-frames
+  // Returns false if invulnerability blocked the hit (skip on-hit effects)
+  takeDamage(amount, damageType = null, options = {}) {
     const p = State.player;
+    const fx = State.data.config?.statEffects || {};
+    if (p.invulnTimer > 0 && !options.dot) return false;
+    amount *= DamageTypes.multiplier(p, damageType);
+    amount *= StatusEffects.damageTakenMult(p);
+    
+    // Last stand: damage reduction while the hull is low
+    if (p.lastStandDR > 0 && this.isLowHull('lastStandThreshold')) {
+      amount *= 1 - Math.min(fx.maxLastStandDR ?? 60, p.lastStandDR) / 100;
+    }
     State.run.stats.damageTaken += amount;
     
+    // Post-hit invulnerability frames
+    if (!options.dot && amount > 0) {
+      p.invulnTimer = Math.max(p.invulnTimer || 0, State.data.config?.player?.hitInvuln ?? 0.4);
+    }
+    
     // Shield absorbs first
     if (p.shield > 0) {
       const shieldDmg = Math.min(p.shield, amount);
       p.shield -= shieldDmg;
       amount -= shieldDmg;
       
+      // Phase shield: brief invulnerability when the shield breaks
+      if (p.shield <= 0 && p.phaseTime > 0) {
+        p.invulnTimer = Math.max(p.invulnTimer, p.phaseTime);
+        Particles.ring(p.x, p.y, '#aa66ff', 35);
+      }
+      
       if (amount <= 0) {
         p.shieldRegenDelay = State.data.config?.player?.shieldRegenDelay || 3;
-        return;
+        return true;
       }
     }
     
@@ -150,8 +181,20 @@ export const Player = {
     
     if (p.hp <= 0) {
       p.hp = 0;
+      
+      // Revive (reviveChance %, limited per run)
+      const revives = State.run.revives || 0;
+      if (p.reviveChance > 0 && revives < (fx.maxRevives ?? 1) && Math.random() * 100 < p.reviveChance) {
+        State.run.revives = revives + 1;
+        p.hp = Math.round(p.maxHP * (fx.reviveHP ?? 0.4));
+        p.invulnTimer = fx.reviveInvuln ?? 2;
+        Particles.ring(p.x, p.y, '#ffaa00', 60);
+        Particles.text(p.x, p.y - 35, 'REVIVED', '#ffaa00', 18);
+        return true;
+      }
       Particles.spawn(p.x, p.y, 'explosion');
     }
+    return true;
   },
   
   isDead() {
@@ -165,6 +208,9 @@ export const Player = {
     ctx.translate(p.x, p.y);
     ctx.rotate(p.angle + Math.PI / 2); // Ship sprite points up
     
+    // Flicker while invulnerable (hit i-frames, dash, phase shield, revive)
+    if (p.invulnTimer > 0) ctx.globalAlpha = 0.35 + 0.4 * Math.abs(Math.sin(p.invulnTimer * 20));
+    
     // Ship body
     ctx.beginPath();
     ctx.moveTo(0, -20);
@@ -206,6 +252,9 @@ export const Player = {
       ctx.lineWidth = 3;
       ctx.stroke();
     }
+    
+    // Status effect rings
+    StatusEffects.drawTint(ctx, p, p.radius + 6);
   }
 };
 
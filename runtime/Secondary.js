@@ -0,0 +1,287 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// SECONDARY.js - Secondary Weapon (Right Mouse Button)
+// ============================================================
+// The secondary slot item's base stats feed this weapon only
+// (resolved by Stats into p.secondary). Fire block in items.json:
+//   missiles - homing missiles that lock onto State.enemies
+//   mines    - player mines that arm, wait for enemies and blow
+//              up through Obstacles.explode (same blast as zone mines)
+// Ammo is a pool of charges; one charge comes back every reload
+// seconds, shots are spaced by cooldown. Reactor stats add charges
+// (energyCap, via Stats) and speed up reloads (energyRegen %).
+
+import { State } from './State.js';
+import { Particles } from './Particles.js';
+import { Collision } from './Collision.js';
+import { Obstacles } from './Obstacles.js';
+import { StatusEffects } from './StatusEffects.js';
+
+// Item stats the secondary uses itself (not applied to the player)
+const OWN_STATS = ['damage', 'tracking', 'mineCount'];
+
+export const Secondary = {
+  missiles: [],
+  mines: [],
+  itemId: null,     // Equipped secondary the ammo belongs to
+
+  OWN_STATS,
+
+  // Weapon state for an equipped secondary item (null without one)
+  resolve(item, baseData) {
+    if (!baseData?.fire) return null;
+    const spec = baseData.fire;
+    const stats = item.stats || {};
+    return {
+      ...spec,
+      damage: stats.damage ?? spec.damage ?? 30,
+      tracking: stats.tracking ?? 0,
+      maxAmmo: Math.round(stats.mineCount ?? spec.ammo ?? 4),
+      itemId: item.id,
+      name: item.name,
+      icon: item.icon
+    };
+  },
+
+  // Refill (new zone or a different secondary equipped)
+  reset() {
+    const p = State.player;
+    this.itemId = p.secondary?.itemId ?? null;
+    p.secondaryAmmo = p.secondary?.maxAmmo ?? 0;
+    p.secondaryReload = 0;
+    p.secondaryCooldown = 0;
+  },
+
+  clear() {
+    this.missiles = [];
+    this.mines = [];
+    this.reset();
+  },
+
+  // ========== TRIGGER ==========
+
+  update(dt) {
+    const p = State.player;
+    const spec = p.secondary;
+    if ((spec?.itemId ?? null) !== this.itemId) this.reset();
+
+    if (spec) {
+      // Freeze / stun (fireRateMult 0) jams the launcher like the primary
+      const rateMult = StatusEffects.fireRateMult(p);
+      p.secondaryCooldown -= dt * rateMult;
+
+      // Charges come back one at a time
+      if (p.secondaryAmmo < spec.maxAmmo) {
+        p.secondaryReload += dt * rateMult * (1 + (p.energyRegen || 0) / 100);
+        if (p.secondaryReload >= (spec.reload ?? 4)) {
+          p.secondaryReload = 0;
+          p.secondaryAmmo++;
+        }
+      } else {
+        p.secondaryReload = 0;
+      }
+
+      if (State.input.fire2 && rateMult > 0 && p.secondaryCooldown <= 0 && p.secondaryAmmo > 0) {
+        p.secondaryAmmo--;
+        p.secondaryCooldown = spec.cooldown ?? 0.5;
+        if (spec.type === 'mines') this.dropMine(spec);
+        else this.launchMissiles(spec);
+      }
+    }
+
+    this.updateMissiles(dt);
+    this.updateMines(dt);
+  },
+
+  // ========== MISSILES ==========
+
+  launchMissiles(spec) {
+    const p = State.player;
+    const salvo = spec.salvo ?? 2;
+    const cursor = this.getCursor();
+    for (let i = 0; i < salvo; i++) {
+      // Fan out sideways, then curve in toward the target
+      const side = (i - (salvo - 1) / 2) * (spec.fan ?? 0.6);
+      const a = p.angle + side;
+      const speed = spec.speed ?? 380;
+      this.missiles.push({
+        x: p.x + Math.cos(a) * 18,
+        y: p.y + Math.sin(a) * 18,
+        vx: Math.cos(a) * speed * 0.6,
+        vy: Math.sin(a) * speed * 0.6,
+        speed,
+        turnRate: (spec.turnRate ?? 3) * (1 + spec.tracking / 100),
+        target: this.pickTarget(cursor.x, cursor.y, spec.lockRange ?? 500),
+        life: spec.life ?? 3,
+        trailTimer: 0,
+        spec
+      });
+    }
+    Particles.sparks(p.x, p.y, spec.color || '#ffaa33', 6);
+  },
+
+  // Aim point in world space (mouse through the camera)
+  getCursor() {
+    const p = State.player;
+    const Camera = State.modules?.Camera;
+    if (Camera) return Camera.screenToWorld(State.input.mouseX, State.input.mouseY);
+    return { x: p.x + Math.cos(p.angle) * 300, y: p.y + Math.sin(p.angle) * 300 };
+  },
+
+  // Living enemy closest to (x, y) within range
+  pickTarget(x, y, range) {
+    let best = null;
+    let bestDist = range;
+    for (const e of State.enemies) {
+      if (e.dead) continue;
+      const d = Math.hypot(e.x - x, e.y - y);
+      if (d < bestDist) {
+        best = e;
+        bestDist = d;
+      }
+    }
+    return best;
+  },
+
+  updateMissiles(dt) {
+    for (let i = this.missiles.length - 1; i >= 0; i--) {
+      const m = this.missiles[i];
+      const spec = m.spec;
+
+      // Re-acquire if the target died
+      if (!m.target || m.target.dead) m.target = this.pickTarget(m.x, m.y, spec.lockRange ?? 500);
+
+      // Accelerate to full speed, steer toward the target
+      const cur = Math.atan2(m.vy, m.vx);
+      let heading = cur;
+      if (m.target) {
+        let diff = Math.atan2(m.target.y - m.y, m.target.x - m.x) - cur;
+        diff = Math.atan2(Math.sin(diff), Math.cos(diff));
+        heading = cur + Math.max(-m.turnRate * dt, Math.min(m.turnRate * dt, diff));
+      }
+      const speed = Math.min(m.speed, Math.hypot(m.vx, m.vy) + m.speed * 2 * dt);
+      m.vx = Math.cos(heading) * speed;
+      m.vy = Math.sin(heading) * speed;
+      m.x += m.vx * dt;
+      m.y += m.vy * dt;
+      m.life -= dt;
+
+      m.trailTimer -= dt;
+      if (m.trailTimer <= 0) {
+        m.trailTimer = 0.03;
+        Particles.trail(m.x, m.y, '#aaaaaa', 3);
+      }
+
+      const hitEnemy = State.enemies.some(e => !e.dead && Math.hypot(e.x - m.x, e.y - m.y) < e.size + 6);
+      if (hitEnemy || m.life <= 0 || Collision.hitObstacle(m.x, m.y, 4)) {
+        this.missiles.splice(i, 1);
+        this.blast(m.x, m.y, spec, spec.blastRadius ?? 55);
+      }
+    }
+  },
+
+  // ========== MINES ==========
+
+  dropMine(spec) {
+    const p = State.player;
+    const max = spec.maxActive ?? 6;
+    if (this.mines.length >= max) this.detonate(this.mines[0]);
+    this.mines.push({
+      x: p.x - Math.cos(p.angle) * 20,
+      y: p.y - Math.sin(p.angle) * 20,
+      arm: spec.armTime ?? 0.6,
+      fuse: -1,
+      life: spec.life ?? 30,
+      spec
+    });
+  },
+
+  updateMines(dt) {
+    for (const mine of [...this.mines]) {
+      const spec = mine.spec;
+      mine.life -= dt;
+      if (mine.arm > 0) {
+        mine.arm -= dt;
+        continue;
+      }
+
+      // Armed: an enemy in range lights a short fuse (like zone mines)
+      if (mine.fuse < 0) {
+        const trigger = spec.triggerRadius ?? 70;
+        const near = State.enemies.some(e => !e.dead && Math.hypot(e.x - mine.x, e.y - mine.y) < trigger + e.size);
+        if (near || mine.life <= 0) mine.fuse = spec.fuse ?? 0.25;
+        continue;
+      }
+      mine.fuse -= dt;
+      if (mine.fuse <= 0) this.detonate(mine);
+    }
+  },
+
+  detonate(mine) {
+    const idx = this.mines.indexOf(mine);
+    if (idx === -1) return;
+    this.mines.splice(idx, 1);
+    this.blast(mine.x, mine.y, mine.spec, mine.spec.blastRadius ?? 90);
+  },
+
+  // Shared zone-mine blast (falloff, chains into zone mines, chips rocks)
+  blast(x, y, spec, radius) {
+    const p = State.player;
+    Obstacles.explode(x, y, radius, p.secondary?.damage ?? spec.damage ?? 30, {
+      hitsPlayer: false,
+      enemyMult: 1,
+      color: spec.color,
+      damageType: spec.damageType,
+      status: spec.status
+    });
+  },
+
+  // ========== DRAWING ==========
+
+  // World-space: player mines and missiles
+  draw(ctx) {
+    for (const mine of this.mines) {
+      const color = mine.spec.color || '#33ff99';
+      const armed = mine.arm <= 0;
+      const blink = mine.fuse >= 0 ? Math.sin(mine.fuse * 60) > 0 : Math.sin(mine.life * 4) > 0;
+      ctx.fillStyle = '#223322';
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(mine.x, mine.y, 8, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+      ctx.fillStyle = armed && blink ? color : '#445544';
+      ctx.beginPath();
+      ctx.arc(mine.x, mine.y, 3, 0, Math.PI * 2);
+      ctx.fill();
+      if (armed) {
+        ctx.globalAlpha = 0.12;
+        ctx.beginPath();
+        ctx.arc(mine.x, mine.y, mine.spec.triggerRadius ?? 70, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+      }
+    }
+
+    for (const m of this.missiles) {
+      const a = Math.atan2(m.vy, m.vx);
+      ctx.save();
+      ctx.translate(m.x, m.y);
+      ctx.rotate(a);
+      ctx.fillStyle = '#dddddd';
+      ctx.fillRect(-7, -2.5, 12, 5);
+      ctx.fillStyle = ctx.shadowColor = m.spec.color || '#ffaa33';
+      ctx.shadowBlur = 8;
+      ctx.beginPath();
+      ctx.arc(-8, 0, 3 + Math.random() * 2, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+    }
+    ctx.shadowBlur = 0;
+  }
+};
+
+export default Secondary;
@@ -30,6 +30,7 @@ export const State = {
     Bullets: null,
     Particles: null,
     Pickups: null,
+    Obstacles: null,
     Leveling: null,
     World: null,
     Camera: null,
@@ -73,8 +74,16 @@ export const State = {
       lastUnlockAt: 0
     },
     skills: {},       // { treeId: { skillId: rank } }
+    mastery: {        // Endgame XP track (Leveling), points spent in mastery.json bonuses
+      level: 0,
+      xp: 0,
+      points: 0,
+      spent: {}       // { bonusId: points }
+    },
+    activeSlots: [],  // Active skill ids by key slot (ActiveSkills.js)
     stats: {},        // { statId: points }
     equipment: {},    // { slotId: itemId }
+    presets: {},      // Builds.js: { name: { stats, skills, activeSlots, equipment, level, savedAt } }
     stash: [],        // Array of item objects
     highestWave: 0,
     totalRuns: 0,
@@ -99,6 +108,8 @@ export const State = {
     cells: 0,
     scrapEarned: 0,
     xpEarned: 0,
+    masteryXPEarned: 0,
+    revives: 0,       // reviveChance procs used this run
     upgrades: {},     // { upgradeId: tier }
     stats: {
       kills: 0,
@@ -135,10 +146,20 @@ export const State = {
     bulletSpeed: 600,
     luck: 0,
     pickupRadius: 50,
+    damageType: 'kinetic',  // Weapon type or mix (DamageTypes.js)
+    resists: {},            // <type>Resist / <effect>Resist (%)
     
     // Cooldowns
     fireCooldown: 0,
-    shieldRegenDelay: 0
+    shieldRegenDelay: 0,
+    invulnTimer: 0,   // No damage taken while > 0
+    dashCharge: 1,    // Dash.js: charges ready, recharge progress, active time
+    dashRecharge: 0,
+    dashTime: 0,
+    
+    // Active status effects (StatusEffects.js)
+    status: [],
+    statusImmune: {}
   },
   
   // Input state
@@ -148,6 +169,9 @@ export const State = {
     left: false,
     right: false,
     fire: false,
+    fire2: false,     // Secondary weapon (RMB)
+    dash: false,      // Dash key pressed (consumed by Dash.update)
+    skill: null,      // Active skill slot pressed (consumed by ActiveSkills.update)
     mouseX: 0,
     mouseY: 0
   },
@@ -181,6 +205,8 @@ export function resetRun() {
     cells: 0,
     scrapEarned: 0,
     xpEarned: 0,
+    masteryXPEarned: 0,
+    revives: 0,       // reviveChance procs used this run
     upgrades: {},
     stats: { 
       kills: 0, 
@@ -214,6 +240,10 @@ export function resetPlayer(canvasW, canvasH) {
   State.player.angle = -Math.PI / 2; // Point up
   State.player.fireCooldown = 0;
   State.player.shieldRegenDelay = 0;
+  State.player.invulnTimer = 0;
+  State.player.dashTime = 0;
+  State.player.status = [];
+  State.player.statusImmune = {};
 }
 
 export default State;
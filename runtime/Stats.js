@@ -5,10 +5,58 @@
 // STATS.js - Player Stats Calculator
 // ============================================================
 // Calculates final player stats from: Base + Meta + Skills + Equipment + RunUpgrades
+// Each source adds to a stat bucket (flat / increased / more, see below).
+// Pilot stats, skill effects, runUpgrades and affixes may declare "bucket";
+// items declare per-stat "buckets". Otherwise config.stats.defaultBuckets.
+// Every contribution is also recorded in Stats.ledger for the breakdown panel:
+//   ledger[stat] = [{ source, id, name, type: bucket, value }]
+//   source: base / pilot / skill / mastery / item / affix / upgrade / damageTypes
 
 import { State } from './State.js';
+import { DamageTypes } from './DamageTypes.js';
+import { Weapons } from './Weapons.js';
+import { Secondary } from './Secondary.js';
+import { Drones } from './Drones.js';
+import { Dash } from './Dash.js';
+import { getItemData } from './DataLoader.js';
+
+// Stat formulas. Every contribution lands in a bucket:
+//   flat      - added to the base
+//   increased - % bonuses summed together
+//   more      - % bonuses that each multiply separately
+// Scaled stats: final = (base + flat) * (1 + increased / 100) * product(1 + more / 100)
+// (base = config.player key or a number, field = player property)
+const SCALED_STATS = {
+  maxHP:        { field: 'maxHP', base: 'baseHP' },
+  damage:       { field: 'damage', base: 'baseDamage' },
+  fireRate:     { field: 'fireRate', base: 'baseFireRate' },
+  speed:        { field: 'speed', base: 'baseSpeed' },
+  acceleration: { field: 'acceleration', base: 'acceleration' },
+  shieldCap:    { field: 'maxShield', base: 0 },
+  shieldRegen:  { field: 'shieldRegen', base: 'shieldRegenRate' },
+  pickupRadius: { field: 'pickupRadius', base: 'basePickupRadius' }
+};
+
+// Additive stats: every bucket just adds the number (crit %, pierce, lifesteal %...)
+const ADDITIVE_STATS = [
+  'critChance', 'critDamage', 'piercing', 'projectiles', 'luck', 'aoeRadius',
+  'hpRegen', 'accuracy', 'dropBonus', 'rarityBoost', 'scrapBonus', 'xpBonus',
+  'lifesteal', 'berserkDamage', 'executeDamage', 'lastStandDR', 'dodgeChance',
+  'deflectChance', 'reviveChance', 'phaseTime', 'dashCharges', 'warpRange',
+  'energyCap', 'energyRegen'
+];
+
+// Data stat ids that feed another stat (optionally forcing a bucket)
+const STAT_ALIASES = {
+  damageBonus: { stat: 'damage', bucket: 'increased' },
+  droneShield: { stat: 'shieldCap' },
+  dropRate:    { stat: 'dropBonus' }
+};
 
 export const Stats = {
+  ledger: {},
+  buckets: {},      // Scaled stats: { base, flat, increased, more }
+  
   // Recalculate all player stats
   calculate() {
     const p = State.player;
@@ -22,33 +70,44 @@ export const Stats = {
     }
     
     const cfg = data.config.player;
+    const defaults = data.config.stats?.defaultBuckets || {};
+    this.ledger = {};
     
     // ========== BASE VALUES ==========
-    p.maxHP = cfg.baseHP;
-    p.damage = cfg.baseDamage;
-    p.speed = cfg.baseSpeed;
-    p.fireRate = cfg.baseFireRate;
+    this.buckets = {};
+    for (const [stat, def] of Object.entries(SCALED_STATS)) {
+      const base = typeof def.base === 'number' ? def.base : (cfg[def.base] ?? 0);
+      this.buckets[stat] = { base, flat: 0, increased: 0, more: 1 };
+      if (base) this.record(stat, { source: 'base', id: 'base', name: 'Base', type: 'flat', value: base });
+    }
+    for (const stat of ADDITIVE_STATS) p[stat] = 0;
     p.critChance = cfg.baseCritChance;
     p.critDamage = cfg.baseCritDamage;
-    p.pickupRadius = cfg.basePickupRadius;
-    p.maxShield = 0;
-    p.piercing = 0;
     p.projectiles = 1;
-    p.luck = 0;
-    p.hpRegen = 0;
-    p.shieldRegen = 0;
+    for (const stat of ['critChance', 'critDamage']) {
+      this.record(stat, { source: 'base', id: 'base', name: 'Base', type: 'flat', value: p[stat] });
+    }
+    p.weapon = Weapons.resolveSpec(null);
+    p.secondary = null;
+    p.drone = null;
+    let engineDash = null;
+    p.statusChance = {};  // burnChance etc. (% per hit)
+    p.resists = {};       // burnResist / thermalResist / statusResist etc. (%)
+    p.damageConversion = {};  // thermalConversion etc. (% of weapon damage)
+    p.addedDamage = {};       // voidDamage etc. (% extra as that type)
     
-    // ========== PILOT STATS (flat bonuses) ==========
+    // ========== PILOT STATS (flat by default) ==========
     if (data.pilotStats) {
       for (const [statId, points] of Object.entries(m.stats)) {
         const statDef = data.pilotStats[statId];
         if (statDef && points > 0) {
-          this.applyStat(statDef.effect.stat, statDef.effect.perPoint * points, 'flat');
+          this.applyStat(statDef.effect.stat, statDef.effect.perPoint * points, statDef.effect.bucket || defaults.pilot || 'flat',
+            { source: 'pilot', id: statId, name: `${statDef.name} (${points} pts)` });
         }
       }
     }
     
-    // ========== SKILL TREE BONUSES (percent bonuses) ==========
+    // ========== SKILL TREE BONUSES (increased by default) ==========
     if (data.skills) {
       for (const [treeId, tree] of Object.entries(data.skills)) {
         const learned = m.skills[treeId] || {};
@@ -56,13 +115,25 @@ export const Stats = {
           if (rank > 0 && tree.skills[skillId]) {
             const skill = tree.skills[skillId];
             if (skill.effect) {
-              this.applyStat(skill.effect.stat, skill.effect.perRank * rank, 'percent');
+              this.applyStat(skill.effect.stat, skill.effect.perRank * rank, this.skillBucket(skill.effect),
+                { source: 'skill', id: skillId, name: `${skill.name} (rank ${rank})` });
             }
           }
         }
       }
     }
     
+    // ========== MASTERY BONUSES (increased by default) ==========
+    if (data.mastery) {
+      for (const [bonusId, points] of Object.entries(m.mastery?.spent || {})) {
+        const def = data.mastery[bonusId];
+        if (def && points > 0) {
+          this.applyStat(def.effect.stat, def.effect.perPoint * points, def.effect.bucket || defaults.mastery || 'increased',
+            { source: 'mastery', id: bonusId, name: `${def.name} (${points} pts)` });
+        }
+      }
+    }
+    
     // ========== EQUIPMENT BONUSES ==========
     for (const [slotId, itemId] of Object.entries(m.equipment)) {
       if (!itemId) continue;
@@ -70,29 +141,73 @@ export const Stats = {
       const item = m.stash.find(i => i.id === itemId);
       if (!item) continue;
       
-      // Base stats
-      for (const [stat, value] of Object.entries(item.stats || {})) {
-        this.applyStat(stat, value, 'flat');
+      const baseData = getItemData(item.baseId);
+      const itemSource = { source: 'item', id: item.id, name: item.name };
+      
+      // Weapon archetype (fire behaviour from the item base)
+      if (item.slot === 'weapon') p.weapon = Weapons.resolveSpec(baseData);
+      if (item.slot === 'engine') engineDash = baseData?.dash || null;
+      
+      // Secondary weapon: base stats drive the secondary itself
+      if (item.slot === 'secondary') {
+        p.secondary = Secondary.resolve(item, baseData);
+      } else if (item.slot === 'drone') {
+        // Drone: its own stats drive the drone, the rest are normal bonuses
+        p.drone = Drones.resolve(item, baseData);
+        for (const [stat, value] of Object.entries(item.stats || {})) {
+          if (p.drone && Drones.OWN_STATS.includes(stat)) continue;
+          this.applyStat(stat, value, this.itemBucket(baseData, stat), itemSource);
+        }
+      } else {
+        for (const [stat, value] of Object.entries(item.stats || {})) {
+          this.applyStat(stat, value, this.itemBucket(baseData, stat), itemSource);
+        }
       }
       
-      // Affix bonuses
+      // Affix bonuses (bucket from the affix definition)
       for (const affix of item.affixes || []) {
-        this.applyStat(affix.stat, affix.value, 'flat');
+        this.applyStat(affix.stat, affix.value, this.affixBucket(affix),
+          { source: 'affix', id: affix.id, name: `${affix.name} (${item.name})` });
       }
     }
     
-    // ========== RUN UPGRADES (percent bonuses) ==========
+    // ========== RUN UPGRADES (increased by default) ==========
     if (data.runUpgrades) {
       for (const [upgradeId, tier] of Object.entries(r.upgrades)) {
         if (tier > 0 && data.runUpgrades[upgradeId]) {
           const upgrade = data.runUpgrades[upgradeId];
           if (upgrade.effect) {
-            this.applyStat(upgrade.effect.stat, upgrade.effect.perTier * tier, 'percent');
+            this.applyStat(upgrade.effect.stat, upgrade.effect.perTier * tier, upgrade.effect.bucket || defaults.upgrade || 'increased',
+              { source: 'upgrade', id: upgradeId, name: `${upgrade.name} (tier ${tier})` });
           }
         }
       }
     }
     
+    // ========== DAMAGE TYPES ==========
+    // Added type damage is its own "more" multiplier
+    const mix = DamageTypes.buildPlayerMix(p, p.weapon.damageType);
+    p.damageType = mix.type;
+    if (mix.damageMult !== 1) {
+      this.applyStat('damage', Math.round((mix.damageMult - 1) * 1000) / 10, 'more',
+        { source: 'damageTypes', id: 'addedDamage', name: 'Added type damage' });
+    }
+    
+    // ========== SCALED STATS ==========
+    for (const [stat, def] of Object.entries(SCALED_STATS)) {
+      p[def.field] = this.getFinal(stat);
+    }
+    
+    // ========== DASH (engine block + dashCharges / warpRange) ==========
+    p.dash = Dash.resolve(engineDash);
+    
+    // ========== REACTOR ==========
+    // Energy capacity buys extra secondary charges
+    if (p.secondary) {
+      const perCharge = data.config.statEffects?.energyPerCharge ?? 100;
+      p.secondary.maxAmmo += Math.floor(p.energyCap / perCharge);
+    }
+    
     // ========== ENSURE MINIMUMS ==========
     p.maxHP = Math.max(1, Math.round(p.maxHP));
     p.damage = Math.max(1, Math.round(p.damage * 10) / 10);
@@ -117,66 +232,140 @@ export const Stats = {
     });
   },
   
-  // Apply a stat bonus
-  applyStat(stat, value, type = 'flat') {
+  // Apply a stat bonus to a bucket (source = { source, id, name } for the ledger).
+  // 'percent' is the old name of the increased bucket.
+  applyStat(stat, value, bucket = 'flat', source = null) {
     const p = State.player;
+    if (bucket === 'percent') bucket = 'increased';
+    const alias = STAT_ALIASES[stat];
+    if (alias) {
+      stat = alias.stat;
+      bucket = alias.bucket || bucket;
+    }
+    if (source) this.record(stat, { ...source, type: bucket, value });
     
-    // Percent bonuses multiply, flat bonuses add
-    if (type === 'percent') {
-      value = value / 100;
-    }
-    
-    switch (stat) {
-      case 'damage':
-        if (type === 'percent') p.damage *= (1 + value);
-        else p.damage += value;
-        break;
-      case 'fireRate':
-        if (type === 'percent') p.fireRate *= (1 + value);
-        else p.fireRate += value;
-        break;
-      case 'speed':
-        if (type === 'percent') p.speed *= (1 + value);
-        else p.speed += value;
-        break;
-      case 'maxHP':
-        if (type === 'percent') p.maxHP *= (1 + value);
-        else p.maxHP += value;
-        break;
-      case 'shieldCap':
-        if (type === 'percent') p.maxShield *= (1 + value);
-        else p.maxShield += value;
-        break;
-      case 'critChance':
-        p.critChance += value * (type === 'percent' ? 100 : 1);
-        break;
-      case 'critDamage':
-        p.critDamage += value * (type === 'percent' ? 100 : 1);
-        break;
-      case 'piercing':
-        p.piercing += value;
-        break;
-      case 'projectiles':
-        p.projectiles += value;
-        break;
-      case 'luck':
-        p.luck += value;
-        break;
-      case 'pickupRadius':
-        if (type === 'percent') p.pickupRadius *= (1 + value);
-        else p.pickupRadius += value;
-        break;
-      case 'hpRegen':
-        p.hpRegen += value;
-        break;
-      case 'shieldRegen':
-        p.shieldRegen += value;
-        break;
-      case 'dropRate':
-        p.luck += value; // Treat as luck for simplicity
-        break;
-      // Add more stats as needed
+    const b = this.buckets[stat];
+    if (b) {
+      if (bucket === 'more') b.more *= 1 + value / 100;
+      else if (bucket === 'increased') b.increased += value;
+      else b.flat += value;
+      return;
+    }
+    if (ADDITIVE_STATS.includes(stat)) {
+      p[stat] += value;
+      return;
+    }
+    
+    // Status effects: <effect>Chance (on-hit proc), <effect>Resist / statusResist
+    // Damage types: <type>Resist / damageResist, <type>Conversion, <type>Damage
+    // (additive like the stats above)
+    const match = stat.match(/^(\w+?)(Chance|Resist|Conversion|Damage)$/);
+    if (!match) return;
+    const [, id, kind] = match;
+    if (kind === 'Resist') {
+      p.resists[stat] = (p.resists[stat] || 0) + value;
+    } else if (kind === 'Chance' && State.data.statusEffects?.[id]) {
+      p.statusChance[id] = (p.statusChance[id] || 0) + value;
+    } else if (kind === 'Conversion' && DamageTypes.isType(id)) {
+      p.damageConversion[id] = (p.damageConversion[id] || 0) + value;
+    } else if (kind === 'Damage' && DamageTypes.isType(id)) {
+      p.addedDamage[id] = (p.addedDamage[id] || 0) + value;
+    }
+  },
+  
+  // Final value of a scaled stat from its buckets
+  getFinal(stat) {
+    const b = this.buckets[stat];
+    if (!b) return 0;
+    return (b.base + b.flat) * (1 + b.increased / 100) * b.more;
+  },
+  
+  // Is this (or its alias target) a base * increased * more stat?
+  isScaled(stat) {
+    return !!SCALED_STATS[STAT_ALIASES[stat]?.stat || stat];
+  },
+  
+  // Bucket for an item base stat / a rolled affix (alias buckets win in applyStat)
+  itemBucket(baseData, stat) {
+    return STAT_ALIASES[stat]?.bucket || baseData?.buckets?.[stat] || State.data.config?.stats?.defaultBuckets?.item || 'flat';
+  },
+  
+  skillBucket(effect) {
+    return effect.bucket || State.data.config?.stats?.defaultBuckets?.skill || 'increased';
+  },
+  
+  affixBucket(affix) {
+    return STAT_ALIASES[affix.stat]?.bucket || this.getAffixDef(affix.id)?.bucket || State.data.config?.stats?.defaultBuckets?.affix || 'flat';
+  },
+  
+  // Affix definition by id (affixes.json prefixes / suffixes)
+  getAffixDef(id) {
+    for (const kind of ['prefixes', 'suffixes']) {
+      for (const group of Object.values(State.data.affixes?.[kind] || {})) {
+        const def = group.find(a => a.id === id);
+        if (def) return def;
+      }
+    }
+    return null;
+  },
+  
+  // Add one contribution to the ledger
+  record(stat, entry) {
+    (this.ledger[stat] = this.ledger[stat] || []).push(entry);
+  },
+  
+  // Contributions to one stat (empty if nothing touched it)
+  getLedger(stat) {
+    return this.ledger[stat] || [];
+  },
+  
+  // True if a formula (or the drone / secondary) does something with this stat
+  hasHandler(stat) {
+    if (SCALED_STATS[stat] || STAT_ALIASES[stat] || ADDITIVE_STATS.includes(stat)) return true;
+    if (Drones.OWN_STATS.includes(stat) || Secondary.OWN_STATS.includes(stat)) return true;
+    const match = stat.match(/^(\w+?)(Chance|Resist|Conversion|Damage)$/);
+    if (!match) return false;
+    const [, id, kind] = match;
+    if (kind === 'Resist') return id === 'status' || id === 'damage' || !!State.data.statusEffects?.[id] || DamageTypes.isType(id);
+    if (kind === 'Chance') return !!State.data.statusEffects?.[id];
+    return DamageTypes.isType(id);
+  },
+  
+  // Startup check: every stat referenced by the data files needs a handler.
+  // Returns { stat: [sources] } for the ones that would be silently ignored.
+  checkStatHandlers() {
+    const data = State.data;
+    const refs = {};
+    const add = (stat, source) => {
+      if (!stat) return;
+      (refs[stat] = refs[stat] || []).push(source);
+    };
+    
+    for (const kind of ['prefixes', 'suffixes']) {
+      for (const group of Object.values(data.affixes?.[kind] || {})) {
+        for (const affix of group) add(affix.stat, `affix ${affix.id}`);
+      }
+    }
+    for (const items of Object.values(data.items || {})) {
+      for (const [itemId, item] of Object.entries(items)) {
+        for (const stat of Object.keys(item.stats || {})) add(stat, `item ${itemId}`);
+      }
+    }
+    for (const tree of Object.values(data.skills || {})) {
+      for (const [skillId, skill] of Object.entries(tree.skills || {})) add(skill.effect?.stat, `skill ${skillId}`);
+    }
+    for (const [statId, def] of Object.entries(data.pilotStats || {})) add(def.effect?.stat, `pilot stat ${statId}`);
+    for (const [bonusId, def] of Object.entries(data.mastery || {})) add(def.effect?.stat, `mastery ${bonusId}`);
+    for (const [upgradeId, upgrade] of Object.entries(data.runUpgrades || {})) add(upgrade.effect?.stat, `run upgrade ${upgradeId}`);
+    
+    const missing = {};
+    for (const [stat, sources] of Object.entries(refs)) {
+      if (!this.hasHandler(stat)) missing[stat] = sources;
+    }
+    if (Object.keys(missing).length > 0) {
+      console.warn('⚠️ Stats without a handler (ignored):', missing);
     }
+    return missing;
   },
   
   // Initialize player HP/Shield on run start
@@ -0,0 +1,230 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// STATUSEFFECTS.js - Burn / Poison / Slow / Freeze / Shock / Stun
+// ============================================================
+// Effects are defined in data/statusEffects.json and live on the
+// target (player or enemy) as target.status = [{ id, time, dps }].
+// Stacking rules:
+//   refresh - one instance; re-applying resets duration, keeps the stronger dps
+//   stack   - independent instances up to maxStacks (oldest replaced)
+//   none    - cannot be re-applied while active; optional immunity after
+// Sources pass a spec: "burn" or { id, chance, duration, dpsMult },
+// dps = source damage * dpsMult. Resistances (Stats for the player,
+// enemies.json / config for enemies) cut duration and tick damage.
+
+import { State } from './State.js';
+import { Player } from './Player.js';
+import { Enemies } from './Enemies.js';
+import { Particles } from './Particles.js';
+
+export const StatusEffects = {
+  getConfig() {
+    return State.data.config?.statusEffects || {};
+  },
+
+  getDef(id) {
+    return State.data.statusEffects?.[id] || null;
+  },
+
+  // Resistance as a fraction (capped by config.maxResist %)
+  getResist(target, id) {
+    let resist;
+    if (target === State.player) {
+      const r = target.resists || {};
+      resist = (r[id + 'Resist'] || 0) + (r.statusResist || 0);
+    } else {
+      resist = target.resists?.[id] || 0;
+    }
+    return Math.min(this.getConfig().maxResist ?? 75, resist) / 100;
+  },
+
+  // Apply one effect. Returns true if it landed.
+  apply(target, id, opts = {}) {
+    const def = this.getDef(id);
+    if (!def || target.dead) return false;
+    if (!target.status) target.status = [];
+    if (target.statusImmune?.[id] > 0) return false;
+
+    const keep = 1 - this.getResist(target, id);
+    const duration = (opts.duration ?? def.duration ?? 2) * keep;
+    if (duration <= 0.05) return false;
+    const dps = (opts.dps ?? 0) * keep;
+
+    const existing = target.status.filter(s => s.id === id);
+    switch (def.stacking) {
+      case 'none':
+        if (existing.length > 0) return false;
+        break;
+      case 'stack':
+        if (existing.length >= (def.maxStacks ?? 5)) {
+          const oldest = existing.reduce((a, b) => (a.time < b.time ? a : b));
+          target.status.splice(target.status.indexOf(oldest), 1);
+        }
+        break;
+      case 'refresh':
+      default:
+        if (existing.length > 0) {
+          const s = existing[0];
+          s.time = Math.max(s.time, duration);
+          s.duration = Math.max(s.duration, duration);
+          s.dps = Math.max(s.dps, dps);
+          return true;
+        }
+    }
+
+    target.status.push({ id, time: duration, duration, dps, tickTimer: def.tick ?? 0, fxTimer: 0 });
+    Particles.sparks(target.x, target.y, def.color, 5);
+    return true;
+  },
+
+  // Apply a source spec (string, object or array of them)
+  applySpec(target, spec, baseDamage = 0) {
+    if (!spec) return;
+    if (Array.isArray(spec)) {
+      for (const s of spec) this.applySpec(target, s, baseDamage);
+      return;
+    }
+    if (typeof spec === 'string') spec = { id: spec };
+    if (Math.random() >= (spec.chance ?? 1)) return;
+
+    const def = this.getDef(spec.id);
+    if (!def) return;
+    this.apply(target, spec.id, {
+      duration: spec.duration,
+      dps: baseDamage * (spec.dpsMult ?? def.dpsMult ?? 0)
+    });
+  },
+
+  has(target, id) {
+    return !!target.status?.some(s => s.id === id);
+  },
+
+  clear(target) {
+    target.status = [];
+    target.statusImmune = {};
+  },
+
+  // ========== PER-FRAME ==========
+
+  // Tick durations, DoT damage and particles for one target
+  update(target, dt) {
+    const immune = target.statusImmune;
+    if (immune) {
+      for (const id in immune) {
+        immune[id] -= dt;
+        if (immune[id] <= 0) delete immune[id];
+      }
+    }
+
+    const list = target.status;
+    if (!list?.length) return;
+
+    for (let i = list.length - 1; i >= 0; i--) {
+      const s = list[i];
+      const def = this.getDef(s.id) || {};
+      s.time -= dt;
+
+      if (s.dps > 0 && def.tick) {
+        s.tickTimer -= dt;
+        if (s.tickTimer <= 0) {
+          s.tickTimer += def.tick;
+          this.dealTick(target, s.dps * def.tick, def);
+        }
+      }
+
+      // Drifting tint particles
+      s.fxTimer -= dt;
+      if (s.fxTimer <= 0) {
+        s.fxTimer = 0.25;
+        const r = target.size || target.radius || 15;
+        Particles.trail(target.x + (Math.random() - 0.5) * r, target.y + (Math.random() - 0.5) * r, def.color, 3);
+      }
+
+      if (s.time <= 0) {
+        list.splice(i, 1);
+        if (def.immunity) {
+          if (!target.statusImmune) target.statusImmune = {};
+          target.statusImmune[s.id] = def.immunity;
+        }
+      }
+    }
+  },
+
+  // Damage-over-time tick (kills route through the normal reward path).
+  // def.damageType types the tick (untyped if omitted).
+  dealTick(target, amount, def) {
+    if (target === State.player) {
+      Player.takeDamage(amount, def.damageType, { dot: true });
+      return;
+    }
+    if (target.dead) return;
+    const killData = Enemies.damage(target, amount, false, def.damageType);
+    Particles.text(target.x, target.y - (target.size || 20), Math.round(amount).toString(), def.color, 12);
+    if (killData) State.modules?.Bullets?.onEnemyKilled(killData);
+  },
+
+  // ========== MODIFIERS ==========
+
+  // Strongest movement slow (effects don't compound)
+  speedMult(target) {
+    let mult = 1;
+    for (const s of target.status || []) {
+      const v = this.getDef(s.id)?.speedMult;
+      if (v !== undefined) mult = Math.min(mult, v);
+    }
+    return mult;
+  },
+
+  fireRateMult(target) {
+    let mult = 1;
+    for (const s of target.status || []) {
+      const v = this.getDef(s.id)?.fireRateMult;
+      if (v !== undefined) mult = Math.min(mult, v);
+    }
+    return mult;
+  },
+
+  // Shock stacks: +damageTakenPerStack each
+  damageTakenMult(target) {
+    let mult = 1;
+    for (const s of target.status || []) {
+      mult += this.getDef(s.id)?.damageTakenPerStack || 0;
+    }
+    return mult;
+  },
+
+  // Resistances for a freshly spawned enemy (data + elite/boss defaults)
+  enemyResists(enemyData, isElite, isBoss) {
+    const cfg = this.getConfig();
+    const out = { ...(enemyData?.resists || {}) };
+    const tier = isBoss ? cfg.bossResist : (isElite ? cfg.eliteResist : null);
+    for (const [id, v] of Object.entries(tier || {})) out[id] = (out[id] || 0) + v;
+    return out;
+  },
+
+  // ========== DRAWING ==========
+
+  // Coloured rings around an affected target, one per active effect type
+  drawTint(ctx, target, radius) {
+    if (!target.status?.length) return;
+    const baseAlpha = ctx.globalAlpha;
+    const seen = new Set();
+    for (const s of target.status) {
+      if (seen.has(s.id)) continue;
+      seen.add(s.id);
+      const def = this.getDef(s.id);
+      if (!def) continue;
+      ctx.globalAlpha = baseAlpha * (0.35 + 0.25 * Math.sin(s.time * 8));
+      ctx.strokeStyle = def.color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(target.x, target.y, radius + 4 + seen.size * 3, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    ctx.globalAlpha = baseAlpha;
+  }
+};
+
+export default StatusEffects;
@@ -9,10 +9,17 @@ import { State } from './State.js';
 import { Stats } from './Stats.js';
 import { Leveling } from './Leveling.js';
 import { Items } from './Items.js';
+import { getItemData } from './DataLoader.js';
 import { Save } from './Save.js';
+import { DepthRules } from './world/DepthRules.js';
+import { ActiveSkills } from './ActiveSkills.js';
+import { Builds } from './Builds.js';
 
 export const UI = {
   tooltipEl: null,
+  expandedStats: new Set(),   // Ship stat rows showing their ledger breakdown
+  openTrees: new Set(),       // Expanded skill tree sections
+  selectedSkill: null,        // { treeId, skillId } shown below its tree graph
   
   init() {
     this.tooltipEl = document.getElementById('tooltip');
@@ -27,6 +34,8 @@ export const UI = {
     this.renderShipStats();
     this.renderPilotStats();
     this.renderSkillTrees();
+    this.renderMastery();
+    this.renderBuilds();
   },
   
   // ========== EQUIPMENT PANEL ==========
@@ -112,33 +121,97 @@ export const UI = {
     
     const p = State.player;
     
+    // keys = ledger stats behind each row (click a row for its breakdown)
     const stats = [
-      { name: 'HP', value: Math.round(p.maxHP) },
-      { name: 'Shield', value: Math.round(p.maxShield) },
-      { name: 'Damage', value: p.damage.toFixed(1) },
-      { name: 'Fire Rate', value: p.fireRate.toFixed(1) + '/s' },
-      { name: 'Crit %', value: p.critChance.toFixed(0) + '%' },
-      { name: 'Crit Dmg', value: p.critDamage + '%' },
-      { name: 'Speed', value: Math.round(p.speed) },
-      { name: 'Projectiles', value: p.projectiles },
-      { name: 'Pierce', value: p.piercing },
-      { name: 'Luck', value: p.luck },
+      { name: 'HP', value: Math.round(p.maxHP), keys: ['maxHP'] },
+      { name: 'Shield', value: Math.round(p.maxShield), keys: ['shieldCap'] },
+      { name: 'Damage', value: p.damage.toFixed(1), keys: ['damage'] },
+      { name: 'Fire Rate', value: p.fireRate.toFixed(1) + '/s', keys: ['fireRate'] },
+      { name: 'Crit %', value: p.critChance.toFixed(0) + '%', keys: ['critChance'] },
+      { name: 'Crit Dmg', value: p.critDamage + '%', keys: ['critDamage'] },
+      { name: 'Speed', value: Math.round(p.speed), keys: ['speed'] },
+      { name: 'Projectiles', value: p.projectiles, keys: ['projectiles'] },
+      { name: 'Pierce', value: p.piercing, keys: ['piercing'] },
+      { name: 'Luck', value: p.luck, keys: ['luck'] },
       { name: 'DPS', value: Stats.getDPS(), highlight: true }
     ];
     
+    // Every other stat something contributes to (lifesteal, resists, ...)
+    const listed = new Set(stats.flatMap(s => s.keys || []));
+    for (const stat of Object.keys(Stats.ledger)) {
+      if (listed.has(stat)) continue;
+      stats.push({ name: this.formatStatName(stat), value: this.formatLedgerTotal(Stats.getLedger(stat)), keys: [stat] });
+    }
+    
     let html = '';
     for (const stat of stats) {
+      const entries = (stat.keys || []).flatMap(k => Stats.getLedger(k).map(e => ({ ...e, stat: k })));
+      const rowId = stat.keys?.[0];
+      const open = rowId && this.expandedStats.has(rowId);
+      const clickable = entries.length > 0;
       html += `
-        <div class="stat-item ${stat.highlight ? 'highlight' : ''}">
+        <div class="stat-item ${stat.highlight ? 'highlight' : ''} ${clickable ? 'expandable' : ''} ${open ? 'open' : ''}"
+             ${clickable ? `onclick="UI.toggleStatBreakdown('${rowId}')"` : ''}>
           <span>${stat.name}</span>
           <span class="stat-value">${stat.value}</span>
         </div>
       `;
+      if (open) html += this.renderStatBreakdown(entries, rowId);
     }
     
     container.innerHTML = html;
   },
   
+  // Ledger lines for one ship stat (other stats sharing the row are named),
+  // plus the bucket formula for scaled stats
+  renderStatBreakdown(entries, mainStat) {
+    let html = '<div class="stat-breakdown">';
+    for (const e of entries) {
+      const value = this.formatLedgerValue(e);
+      html += `
+        <div class="stat-source source-${e.source}">
+          <span class="stat-source-name">${e.name}${e.stat !== mainStat ? ` · ${this.formatStatName(e.stat)}` : ''}</span>
+          <span class="stat-source-value">${value}</span>
+        </div>
+      `;
+    }
+    const b = Stats.buckets[mainStat];
+    if (b) {
+      const r = v => Math.round(v * 100) / 100;
+      html += `
+        <div class="stat-formula">(${r(b.base)} + ${r(b.flat)}) × ${r(1 + b.increased / 100)} × ${r(b.more)} = ${r(Stats.getFinal(mainStat))}</div>
+      `;
+    }
+    return html + '</div>';
+  },
+  
+  // One ledger entry: flat, "+x% inc" or "+x% more" (additive stats just add)
+  formatLedgerValue(entry) {
+    const v = Math.round(entry.value * 10) / 10;
+    if (entry.source === 'base') return `${v}`;
+    const sign = v >= 0 ? '+' : '';
+    if (entry.type === 'flat' || !Stats.isScaled(entry.stat)) return `${sign}${v}`;
+    return `${sign}${v}% ${entry.type === 'more' ? 'more' : 'inc'}`;
+  },
+  
+  // Summary for stats without a dedicated row
+  formatLedgerTotal(entries) {
+    const total = entries.reduce((sum, e) => sum + e.value, 0);
+    return `${total > 0 ? '+' : ''}${Math.round(total * 10) / 10}`;
+  },
+  
+  // Item / affix bonus line ("+8% Fire Rate" for percent buckets)
+  formatBonus(stat, value, bucket) {
+    const pct = bucket && bucket !== 'flat' && Stats.isScaled(stat);
+    return `+${value}${pct ? '%' : ''}${bucket === 'more' ? ' more' : ''} ${this.formatStatName(stat)}`;
+  },
+  
+  toggleStatBreakdown(stat) {
+    if (this.expandedStats.has(stat)) this.expandedStats.delete(stat);
+    else this.expandedStats.add(stat);
+    this.renderShipStats();
+  },
+  
   // ========== PILOT STATS ==========
   renderPilotStats() {
     const container = document.getElementById('pilotStats');
@@ -168,10 +241,95 @@ export const UI = {
       `;
     }
     
+    // Reset all pilot stats
+    const spent = Leveling.getSpentStatPoints();
+    if (spent > 0) {
+      const cost = Leveling.getRespecCost(spent);
+      html += `
+        <button class="btn small danger respec-btn" onclick="UI.resetStats(event)" ${State.meta.scrap >= cost ? '' : 'disabled'}>
+          ↩️ Reset stats · ${cost} 💰
+        </button>
+      `;
+    }
+    
+    container.innerHTML = html;
+  },
+  
+  // ========== BUILD PRESETS ==========
+  renderBuilds() {
+    const container = document.getElementById('buildList');
+    if (!container) return;
+    
+    let html = '';
+    for (const preset of Builds.list()) {
+      const skills = Leveling.getSpentSkillPoints(preset.skills);
+      const stats = Leveling.getSpentStatPoints(preset.stats);
+      const items = Object.values(preset.equipment).filter(Boolean).length;
+      const cost = Builds.getLoadCost(preset.name);
+      const name = this.escapeHTML(preset.name);
+      const arg = this.escapeHTML(JSON.stringify(preset.name));
+      
+      html += `
+        <div class="build-row">
+          <div class="build-info">
+            <div class="build-name">${name}</div>
+            <div class="build-summary">Lv ${preset.level} · ${skills} skill · ${stats} stat · ${items} items</div>
+          </div>
+          <button class="btn small" onclick="UI.loadBuild(event, ${arg})" ${Builds.canLoad(preset.name) ? '' : 'disabled'}>
+            Load${cost > 0 ? ` · ${cost} 💰` : ''}
+          </button>
+          <button class="pstat-btn" title="Delete" onclick="UI.deleteBuild(${arg})">✕</button>
+        </div>
+      `;
+    }
+    
+    container.innerHTML = html || '<div class="build-empty">No saved builds</div>';
+  },
+  
+  escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  },
+  
+  // ========== MASTERY ==========
+  renderMastery() {
+    const container = document.getElementById('masteryList');
+    if (!container) return;
+    
+    const mastery = State.meta.mastery;
+    const unlockLevel = State.data.config?.progression?.mastery?.unlockLevel ?? 10;
+    const unlocked = mastery.level > 0 || mastery.xp > 0 || State.meta.level >= unlockLevel;
+    
+    document.getElementById('masteryLevel').textContent = mastery.level;
+    document.getElementById('masteryPointsNum').textContent = mastery.points;
+    document.getElementById('masteryBar').style.width = (Leveling.getMasteryProgress() * 100) + '%';
+    document.getElementById('masteryText').textContent = unlocked
+      ? `${mastery.xp} / ${Leveling.masteryXPForLevel(mastery.level)} XP`
+      : `Unlocks at level ${unlockLevel}`;
+    
+    let html = '';
+    for (const [bonusId, def] of Object.entries(State.data.mastery || {})) {
+      const points = mastery.spent[bonusId] || 0;
+      const bonus = this.formatBonus(def.effect.stat, def.effect.perPoint * points, def.effect.bucket || 'increased');
+      
+      html += `
+        <div class="pilot-stat-row" title="${def.description}">
+          <span class="pstat-icon" style="color:${def.color}">${def.icon}</span>
+          <span class="pstat-name">${def.name}<br><span class="mastery-bonus">${points > 0 ? bonus : def.description}</span></span>
+          <span class="pstat-value">${points}${def.maxPoints > 0 ? `<small>/${def.maxPoints}</small>` : ''}</span>
+          <button class="pstat-btn"
+                  onclick="UI.allocateMastery('${bonusId}')"
+                  ${Leveling.canAllocateMastery(bonusId) ? '' : 'disabled'}>+</button>
+        </div>
+      `;
+    }
+    
     container.innerHTML = html;
   },
   
   // ========== SKILL TREES ==========
+  // Each tree is a layered graph: a node sits one row below the skill it
+  // requires, edges carry the required rank. Clicking a node opens its
+  // detail (rank preview, learn, refund); refunds cost scrap (Leveling).
   renderSkillTrees() {
     const container = document.getElementById('skillTrees');
     const pointsEl = document.getElementById('skillPointsNum');
@@ -185,46 +343,206 @@ export const UI = {
     
     let html = '';
     
+    // Full respec (all trees)
+    const spent = Leveling.getSpentSkillPoints();
+    if (spent > 0) {
+      const cost = Leveling.getRespecCost(spent);
+      html += `
+        <button class="btn small danger respec-btn" onclick="UI.respecAll(event)" ${State.meta.scrap >= cost ? '' : 'disabled'}>
+          ↩️ Reset all skills · ${cost} 💰
+        </button>
+      `;
+    }
+    
     for (const [treeId, tree] of Object.entries(trees || {})) {
       const totalInTree = Object.values(learned[treeId] || {}).reduce((a, b) => a + b, 0);
+      const selected = this.selectedSkill?.treeId === treeId ? this.selectedSkill.skillId : null;
       
       html += `
-        <div class="skill-tree-section" id="tree-${treeId}">
-          <div class="skill-tree-header" style="--tree-color: ${tree.color}" onclick="UI.toggleTree('${treeId}')">
+        <div class="skill-tree-section ${this.openTrees.has(treeId) ? 'open' : ''}" id="tree-${treeId}" style="--tree-color: ${tree.color}">
+          <div class="skill-tree-header" onclick="UI.toggleTree('${treeId}')">
             <span class="tree-icon">${tree.icon}</span>
             <span class="tree-name">${tree.name}</span>
             <span class="tree-pts">${totalInTree} pts</span>
           </div>
           <div class="skill-tree-body">
+            ${this.renderSkillGraph(treeId, tree, selected)}
+            ${selected && tree.skills[selected] ? this.renderSkillDetail(treeId, selected) : ''}
+          </div>
+        </div>
       `;
+    }
+    
+    container.innerHTML = html;
+  },
+  
+  // Row = length of the requires chain; children follow their parent's order
+  layoutSkillTree(tree) {
+    const skills = tree.skills;
+    const depth = {};
+    const getDepth = (id) => {
+      if (depth[id] === undefined) {
+        const req = skills[id].requires?.skill;
+        depth[id] = req && skills[req] ? getDepth(req) + 1 : 0;
+      }
+      return depth[id];
+    };
+    
+    const rows = [];
+    for (const id of Object.keys(skills)) (rows[getDepth(id)] ||= []).push(id);
+    
+    const pos = {};
+    rows.forEach((ids, row) => {
+      if (row > 0) ids.sort((a, b) => pos[skills[a].requires.skill].x - pos[skills[b].requires.skill].x);
+      ids.forEach((id, i) => { pos[id] = { x: (i + 0.5) / ids.length, row }; });
+    });
+    return { pos, rows: rows.length };
+  },
+  
+  renderSkillGraph(treeId, tree, selected) {
+    const { pos, rows } = this.layoutSkillTree(tree);
+    const learned = State.meta.skills[treeId] || {};
+    const rowH = 62;
+    const y = (row) => row * rowH + rowH / 2;
+    
+    let edges = '';
+    let nodes = '';
+    for (const [skillId, skill] of Object.entries(tree.skills)) {
+      const at = pos[skillId];
+      const rank = learned[skillId] || 0;
+      const req = skill.requires;
+      const reqMet = !req || (learned[req.skill] || 0) >= req.rank;
       
-      for (const [skillId, skill] of Object.entries(tree.skills)) {
-        const currentRank = learned[treeId]?.[skillId] || 0;
-        const canLearn = Leveling.canLearnSkill(treeId, skillId);
-        const maxed = currentRank >= skill.maxRank;
-        
-        html += `
-          <div class="skill-node ${currentRank > 0 ? 'learned' : ''} ${canLearn && !maxed ? 'available' : ''}"
-               onclick="UI.learnSkill('${treeId}', '${skillId}')">
-            <span class="skill-icon">${skill.icon}</span>
-            <div class="skill-info">
-              <div class="skill-name">${skill.name}</div>
-              <div class="skill-desc">${skill.description}</div>
-            </div>
-            <span class="skill-rank">${currentRank}/${skill.maxRank}</span>
-          </div>
+      // Edge from the required skill, labelled with the rank it needs
+      if (req && pos[req.skill]) {
+        const from = pos[req.skill];
+        edges += `
+          <line class="skill-edge ${reqMet ? 'met' : ''}" x1="${from.x * 100}%" y1="${y(from.row)}" x2="${at.x * 100}%" y2="${y(at.row)}"/>
+          <text class="skill-edge-label" x="${(from.x + at.x) * 50}%" y="${(y(from.row) + y(at.row)) / 2 + 3}">${req.rank}</text>
         `;
       }
       
-      html += `</div></div>`;
+      const classes = [
+        rank > 0 ? 'learned' : '',
+        rank >= skill.maxRank ? 'maxed' : '',
+        Leveling.canLearnSkill(treeId, skillId) ? 'available' : '',
+        !reqMet && rank === 0 ? 'locked' : '',
+        skill.active ? 'active-skill' : '',
+        skillId === selected ? 'selected' : ''
+      ].filter(Boolean).join(' ');
+      
+      nodes += `
+        <div class="skill-graph-node ${classes}" style="left:${at.x * 100}%; top:${y(at.row)}px"
+             title="${skill.name}" onclick="UI.selectSkill('${treeId}', '${skillId}')">
+          <span class="skill-icon">${skill.icon}</span>
+          <span class="skill-rank">${rank}/${skill.maxRank}</span>
+        </div>
+      `;
     }
     
-    container.innerHTML = html;
+    return `
+      <div class="skill-graph" style="height:${rows * rowH}px">
+        <svg class="skill-edges">${edges}</svg>
+        ${nodes}
+      </div>
+    `;
+  },
+  
+  // Selected node: per-rank preview, learn and single-rank refund
+  renderSkillDetail(treeId, skillId) {
+    const skill = State.data.skills[treeId].skills[skillId];
+    const rank = State.meta.skills[treeId]?.[skillId] || 0;
+    const canLearn = Leveling.canLearnSkill(treeId, skillId);
+    const canRefund = Leveling.canUnlearnSkill(treeId, skillId);
+    const blockers = rank > 0 ? Leveling.getUnlearnBlockers(treeId, skillId) : [];
+    
+    // Active skills show their key once learned
+    let activeTag = '';
+    if (skill.active) {
+      const slot = (State.meta.activeSlots || []).indexOf(skillId);
+      const key = slot !== -1 ? ` [${this.formatKey(ActiveSkills.getKeys()[slot])}]` : '';
+      activeTag = `<span class="skill-active-tag">ACTIVE${key}</span>`;
+    }
+    
+    let ranks = '';
+    for (let r = 1; r <= skill.maxRank; r++) {
+      ranks += `
+        <div class="skill-rank-row ${r <= rank ? 'reached' : ''} ${r === rank + 1 ? 'next' : ''}">
+          <span class="rank-num">R${r}</span>
+          <span class="rank-value">${this.formatSkillRank(skill, r)}</span>
+        </div>
+      `;
+    }
+    
+    const req = skill.requires;
+    const reqSkill = req ? State.data.skills[treeId].skills[req.skill] : null;
+    
+    return `
+      <div class="skill-detail">
+        <div class="skill-name">${skill.icon} ${skill.name}${activeTag}</div>
+        <div class="skill-desc">${skill.description}</div>
+        ${reqSkill ? `<div class="skill-req">Requires ${reqSkill.name} rank ${req.rank}</div>` : ''}
+        <div class="skill-ranks">${ranks}</div>
+        <div class="skill-actions">
+          <button class="btn small" onclick="UI.learnSkill('${treeId}', '${skillId}')" ${canLearn ? '' : 'disabled'}>Learn</button>
+          <button class="btn small danger" onclick="UI.unlearnSkill(event, '${treeId}', '${skillId}')" ${canRefund ? '' : 'disabled'}>
+            Refund · ${Leveling.getRespecCost(1)} 💰
+          </button>
+        </div>
+        ${blockers.length > 0 ? `<div class="skill-req">Needed by ${blockers.join(', ')}</div>` : ''}
+      </div>
+    `;
+  },
+  
+  // Total effect at a rank: passive bonus, or the active values that scale
+  formatSkillRank(skill, rank) {
+    if (skill.effect) {
+      return this.formatBonus(skill.effect.stat, skill.effect.perRank * rank, Stats.skillBucket(skill.effect));
+    }
+    if (skill.active) {
+      const spec = ActiveSkills.resolve(skill, rank);
+      const parts = Object.keys(skill.active.perRank || {})
+        .map(key => `${this.formatStatName(key)} ${Math.round(spec[key] * 100) / 100}`);
+      parts.push(`${spec.cooldown}s cd`);
+      return parts.join(' · ');
+    }
+    return '';
+  },
+  
+  selectSkill(treeId, skillId) {
+    const same = this.selectedSkill?.treeId === treeId && this.selectedSkill.skillId === skillId;
+    this.selectedSkill = same ? null : { treeId, skillId };
+    this.renderSkillTrees();
   },
   
   toggleTree(treeId) {
+    if (this.openTrees.has(treeId)) this.openTrees.delete(treeId);
+    else this.openTrees.add(treeId);
     const section = document.getElementById(`tree-${treeId}`);
-    if (section) section.classList.toggle('open');
+    if (section) section.classList.toggle('open', this.openTrees.has(treeId));
+  },
+  
+  // Key code -> label ('Digit1' -> '1', 'KeyQ' -> 'Q')
+  formatKey(code) {
+    return (code || '').replace(/^(Digit|Key|Numpad)/, '');
+  },
+  
+  // Combat HUD slots for the learned active skills (cooldowns filled in by main.updateHUD)
+  renderSkillBar(slots) {
+    const container = document.getElementById('skillBar');
+    if (!container) return;
+    
+    container.style.display = slots.some(s => s) ? '' : 'none';
+    container.innerHTML = slots.map((s, i) => s ? `
+      <div class="skill-slot" id="skillSlot${i}" style="--slot-color: ${s.spec.color || '#ffffff'}" title="${s.skill.name} (rank ${s.rank})">
+        <span class="slot-icon">${s.skill.icon}</span>
+        <div class="slot-cooldown" id="skillCd${i}"></div>
+        <span class="slot-timer" id="skillCdText${i}"></span>
+        <span class="slot-key">${this.formatKey(s.code)}</span>
+      </div>
+    ` : `
+      <div class="skill-slot empty"><span class="slot-key">${this.formatKey(ActiveSkills.getKeys()[i])}</span></div>
+    `).join('');
   },
   
   // ========== VENDOR ==========
@@ -261,7 +579,51 @@ export const UI = {
     container.innerHTML = html;
   },
   
+  // ========== ZONE MODIFIERS ==========
+  renderZoneModifiers(zone) {
+    const container = document.getElementById('modifierBar');
+    if (!container) return;
+    
+    const act = State.modules?.World?.currentAct;
+    const mods = Array.isArray(zone?.mods) ? zone.mods : [];
+    container.innerHTML = mods.map(id => {
+      const mod = DepthRules.getModifier(id, act);
+      return `<div class="modifier-chip"
+             onmouseenter="UI.showModifierTooltip(event, '${id}')"
+             onmouseleave="UI.hideTooltip()">${mod.icon || '◆'} ${mod.name}</div>`;
+    }).join('');
+  },
+  
   // ========== TOOLTIPS ==========
+  showModifierTooltip(event, modId) {
+    const mod = DepthRules.getModifier(modId, State.modules?.World?.currentAct);
+    
+    let effectsHtml = '';
+    for (const [key, value] of Object.entries(mod.effects)) {
+      effectsHtml += `<div class="tooltip-stat">${this.formatEffect(key, value)}</div>`;
+    }
+    const reward = mod.reward;
+    if (reward.quantity || reward.rarity || reward.xp) {
+      effectsHtml += `<div class="tooltip-value">Reward: +${Math.round((reward.quantity || 0) * 100)}% loot · +${Math.round((reward.rarity || 0) * 100)}% rarity · +${Math.round((reward.xp || 0) * 100)}% XP</div>`;
+    }
+    
+    const html = `
+      <div class="tooltip-header">
+        <span class="tooltip-icon">${mod.icon || '◆'}</span>
+        <div>
+          <div class="tooltip-name">${mod.name}</div>
+          <div class="tooltip-type">Zone Modifier</div>
+        </div>
+      </div>
+      <div class="tooltip-body">
+        <div class="tooltip-hint">${mod.description}</div>
+        ${effectsHtml}
+      </div>
+    `;
+    
+    this.showTooltip(event, html, 'var(--danger)');
+  },
+  
   showItemTooltip(event, itemId) {
     const item = State.meta.stash.find(i => i.id === itemId);
     if (!item) return;
@@ -272,10 +634,10 @@ export const UI = {
     
     let statsHtml = '';
     for (const [stat, value] of Object.entries(item.stats || {})) {
-      statsHtml += `<div class="tooltip-stat">+${value} ${this.formatStatName(stat)}</div>`;
+      statsHtml += `<div class="tooltip-stat">${this.formatBonus(stat, value, Stats.itemBucket(getItemData(item.baseId), stat))}</div>`;
     }
     for (const affix of item.affixes || []) {
-      statsHtml += `<div class="tooltip-stat affix">+${affix.value} ${this.formatStatName(affix.stat)}</div>`;
+      statsHtml += `<div class="tooltip-stat affix">${this.formatBonus(affix.stat, affix.value, Stats.affixBucket(affix))}</div>`;
     }
     
     const html = `
@@ -456,6 +818,51 @@ export const UI = {
     if (Leveling.allocateStat(statId)) {
       this.renderPilotStats();
       this.renderShipStats();
+      this.renderBuilds();
+    }
+  },
+  
+  resetStats(event) {
+    const cost = Leveling.getRespecCost(Leveling.getSpentStatPoints());
+    if (Leveling.resetStats()) {
+      this.showFloatingText(event.clientX, event.clientY, `-${cost} 💰`, '#ffcc00');
+      this.renderPilotStats();
+      this.renderShipStats();
+      this.renderBuilds();
+      this.renderScrap();
+    }
+  },
+  
+  saveBuild() {
+    const input = document.getElementById('buildName');
+    if (Builds.save(input?.value)) {
+      input.value = '';
+      this.renderBuilds();
+    }
+  },
+  
+  loadBuild(event, name) {
+    const result = Builds.load(name);
+    if (!result) return;
+    
+    if (result.missing.length > 0) {
+      this.showFloatingText(event.clientX, event.clientY, `${result.missing.length} item(s) missing`, '#ff4444');
+    } else if (result.cost > 0) {
+      this.showFloatingText(event.clientX, event.clientY, `-${result.cost} 💰`, '#ffcc00');
+    }
+    this.selectedSkill = null;
+    this.renderAll();
+    this.renderScrap();
+  },
+  
+  deleteBuild(name) {
+    if (Builds.remove(name)) this.renderBuilds();
+  },
+  
+  allocateMastery(bonusId) {
+    if (Leveling.allocateMastery(bonusId)) {
+      this.renderMastery();
+      this.renderShipStats();
     }
   },
   
@@ -463,6 +870,30 @@ export const UI = {
     if (Leveling.learnSkill(treeId, skillId)) {
       this.renderSkillTrees();
       this.renderShipStats();
+      this.renderBuilds();
+    }
+  },
+  
+  unlearnSkill(event, treeId, skillId) {
+    const cost = Leveling.getRespecCost(1);
+    if (Leveling.unlearnSkill(treeId, skillId)) {
+      this.showFloatingText(event.clientX, event.clientY, `-${cost} 💰`, '#ffcc00');
+      this.renderSkillTrees();
+      this.renderShipStats();
+      this.renderBuilds();
+      this.renderScrap();
+    }
+  },
+  
+  respecAll(event) {
+    const cost = Leveling.getRespecCost(Leveling.getSpentSkillPoints());
+    if (Leveling.respecAll()) {
+      this.selectedSkill = null;
+      this.showFloatingText(event.clientX, event.clientY, `-${cost} 💰`, '#ffcc00');
+      this.renderSkillTrees();
+      this.renderShipStats();
+      this.renderBuilds();
+      this.renderScrap();
     }
   },
   
@@ -503,7 +934,32 @@ export const UI = {
       shieldRegen: 'Shield Regen',
       lifesteal: 'Lifesteal'
     };
-    return names[stat] || stat;
+    if (names[stat]) return names[stat];
+    // thermalResist -> "Thermal Resist"
+    return stat.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase());
+  },
+  
+  // Modifier effect line, e.g. "+35% Enemy Speed"
+  formatEffect(key, value) {
+    const names = {
+      enemyDensity: 'Enemies',
+      eliteDensity: 'Elites',
+      eliteHP: 'Elite HP',
+      obstacleDensity: 'Obstacles',
+      obstacleHP: 'Obstacle HP',
+      obstacleDamage: 'Mine Damage',
+      enemySpeed: 'Enemy Speed',
+      enemyFireRate: 'Enemy Fire Rate',
+      projectileSpeed: 'Projectile Speed',
+      projectileCount: 'Projectiles',
+      lootQuantity: 'Loot Quantity',
+      lootRarity: 'Loot Rarity',
+      zoneSize: 'Zone Size'
+    };
+    if (key === 'mineShare') return `${Math.round(value * 100)}% of obstacles are mines`;
+    if (key === 'elitePackShare') return `${Math.round(value * 100)}% of elites lead packs`;
+    const pct = Math.round((value - 1) * 100);
+    return `${pct >= 0 ? '+' : ''}${pct}% ${names[key] || key}`;
   }
 };
 
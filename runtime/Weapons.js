@@ -0,0 +1,346 @@
+// Copyright (c) Manfred Foissner. All rights reserved.
+// License: See LICENSE.txt in the project root.
+
+// ============================================================
+// WEAPONS.js - Primary Weapon Archetypes
+// ============================================================
+// Each weapon base in items.json declares a fire block; the
+// equipped weapon's block is resolved by Stats into p.weapon.
+// Types:
+//   projectile - plain bolts (p.projectiles / p.spread volley)
+//   spread     - shotgun burst of short-range pellets
+//   minigun    - fire rate spins up while the trigger is held
+//   beam       - hitscan line, pierces p.piercing enemies
+//   nova       - expanding ring around the ship
+//   charged    - hold to charge, release for a heavier slug
+// fireRateMult scales p.fireRate for slow, heavy archetypes.
+// Aim jitter (fire block jitter or config.weapons.baseJitter) shrinks
+// with accuracy.
+// Without a weapon config.weapons.default is used.
+
+import { State } from './State.js';
+import { Bullets } from './Bullets.js';
+import { Player } from './Player.js';
+import { Particles } from './Particles.js';
+import { Collision } from './Collision.js';
+import { Obstacles } from './Obstacles.js';
+import { StatusEffects } from './StatusEffects.js';
+import { ActiveSkills } from './ActiveSkills.js';
+
+export const Weapons = {
+  beams: [],    // Hitscan beam flashes
+  novas: [],    // Expanding nova rings
+
+  getConfig() {
+    return State.data.config?.weapons || {};
+  },
+
+  // Fire block for an equipped weapon item (or the default)
+  resolveSpec(baseData) {
+    return { ...(this.getConfig().default || { type: 'projectile' }), ...(baseData?.fire || {}) };
+  },
+
+  getSpec() {
+    return State.player.weapon || this.resolveSpec(null);
+  },
+
+  // ========== TRIGGER ==========
+
+  // Per-frame trigger handling (called from Player.update)
+  update(dt) {
+    const p = State.player;
+    const spec = this.getSpec();
+    const held = State.input.fire;
+    const rateMult = StatusEffects.fireRateMult(p) * ActiveSkills.fireRateMult();
+    const fireRate = p.fireRate * (spec.fireRateMult ?? 1);
+
+    switch (spec.type) {
+      case 'minigun': {
+        // Barrel spins up while held, winds down when released;
+        // the cooldown runs at minRate..1 of full speed
+        const spinUp = spec.spinUp ?? 1.2;
+        const minRate = spec.minRate ?? 0.25;
+        p.spin = Math.max(0, Math.min(1, (p.spin || 0) + (held ? dt * rateMult : -dt * 2) / spinUp));
+        p.fireCooldown -= dt * rateMult * (minRate + (1 - minRate) * p.spin);
+        if (held && p.fireCooldown <= 0) {
+          this.fire(spec);
+          p.fireCooldown = 1 / fireRate;
+        }
+        break;
+      }
+      case 'charged':
+        p.fireCooldown -= dt * rateMult;
+        if (held) {
+          p.charge = Math.min(1, (p.charge || 0) + dt * rateMult / (spec.chargeTime ?? 1.2));
+        } else if (p.charge > 0) {
+          if (p.fireCooldown <= 0 && p.charge >= (spec.minCharge ?? 0.15)) {
+            this.fire(spec, p.charge);
+            p.fireCooldown = 1 / fireRate;
+          }
+          p.charge = 0;
+        }
+        break;
+      default:
+        p.fireCooldown -= dt * rateMult;
+        if (held && p.fireCooldown <= 0) {
+          this.fire(spec);
+          p.fireCooldown = 1 / fireRate;
+        }
+    }
+
+    this.updateEffects(dt);
+  },
+
+  // ========== FIRING ==========
+
+  fire(spec, charge = 0) {
+    const p = State.player;
+    switch (spec.type) {
+      case 'spread': this.fireSpread(spec); break;
+      case 'minigun': this.fireMinigun(spec); break;
+      case 'beam': this.fireBeam(spec); break;
+      case 'nova': this.fireNova(spec); break;
+      case 'charged': this.fireCharged(spec, charge); break;
+      default: this.fireProjectiles(spec);
+    }
+
+    // Muzzle flash
+    if (spec.type !== 'nova') {
+      Particles.spawn(p.x + Math.cos(p.angle) * 22, p.y + Math.sin(p.angle) * 22, 'muzzle');
+    }
+  },
+
+  // Random jitter scale from accuracy (% less, capped at 90)
+  accuracyMult() {
+    return 1 - Math.min(90, State.player.accuracy || 0) / 100;
+  },
+
+  // Random aim offset (radians) for weapons without their own jitter model
+  aimJitter(spec) {
+    const jitter = (spec.jitter ?? this.getConfig().baseJitter ?? 3) * (Math.PI / 180);
+    return (Math.random() - 0.5) * jitter * this.accuracyMult();
+  },
+
+  // Common per-shot values (crit roll, damage type, status procs)
+  rollHit(damageMult = 1) {
+    const p = State.player;
+    const isCrit = Math.random() * 100 < p.critChance;
+    return {
+      damage: p.damage * damageMult * ActiveSkills.damageMult(),
+      isCrit,
+      damageType: p.damageType,
+      status: Player.getStatusProcs()
+    };
+  },
+
+  // One player bullet along an angle
+  shoot(spec, angle, overrides = {}) {
+    const p = State.player;
+    const hit = this.rollHit(overrides.damageMult);
+    const speed = p.bulletSpeed * (overrides.speedMult ?? 1);
+    Bullets.spawn({
+      x: p.x + Math.cos(angle) * 20,
+      y: p.y + Math.sin(angle) * 20,
+      vx: Math.cos(angle) * speed,
+      vy: Math.sin(angle) * speed,
+      damage: hit.damage,
+      piercing: p.piercing + (overrides.pierce ?? 0),
+      isPlayer: true,
+      crit: hit.isCrit,
+      damageType: hit.damageType,
+      status: hit.status,
+      life: overrides.life,
+      size: overrides.size ?? spec.size,
+      style: spec.style,
+      color: spec.color
+    });
+  },
+
+  // Volley of p.projectiles spaced p.spread degrees apart
+  fireProjectiles(spec) {
+    const p = State.player;
+    const count = p.projectiles;
+    const spreadRad = (p.spread || 0) * (Math.PI / 180);
+    const start = p.angle - spreadRad * (count - 1) / 2;
+    for (let i = 0; i < count; i++) {
+      this.shoot(spec, start + spreadRad * i + this.aimJitter(spec));
+    }
+  },
+
+  // Shotgun: pellets spread evenly over the arc with speed / range variance
+  fireSpread(spec) {
+    const p = State.player;
+    const pellets = p.projectiles + (spec.extraPellets ?? 2);
+    const arc = (spec.arc ?? 40) * (Math.PI / 180);
+    for (let i = 0; i < pellets; i++) {
+      const t = pellets > 1 ? i / (pellets - 1) - 0.5 : 0;
+      const a = p.angle + t * arc + (Math.random() - 0.5) * arc / pellets * this.accuracyMult();
+      const speedVar = 1 + (Math.random() - 0.5) * (spec.speedVar ?? 0.2);
+      this.shoot(spec, a, {
+        damageMult: spec.pelletMult ?? 1,
+        speedMult: (spec.speedMult ?? 0.8) * speedVar,
+        life: (spec.range ?? 0.45) * speedVar
+      });
+    }
+  },
+
+  // Minigun: single tracers with jitter that tightens as the barrel spins
+  fireMinigun(spec) {
+    const p = State.player;
+    const jitter = (spec.jitter ?? 6) * (Math.PI / 180) * (1.5 - (p.spin || 0) * 0.5) * this.accuracyMult();
+    for (let i = 0; i < p.projectiles; i++) {
+      this.shoot(spec, p.angle + (Math.random() - 0.5) * jitter, { speedMult: spec.speedMult ?? 1.3 });
+    }
+  },
+
+  // Hitscan beam: stops at the first solid obstacle, hits up to 1 + piercing enemies
+  fireBeam(spec) {
+    const p = State.player;
+    const width = spec.width ?? 6;
+    const hit = this.rollHit(spec.damageMult ?? 1);
+
+    for (let i = 0; i < p.projectiles; i++) {
+      const spreadRad = (p.spread || 0) * (Math.PI / 180);
+      const angle = p.angle + (i - (p.projectiles - 1) / 2) * spreadRad + this.aimJitter(spec);
+      const x0 = p.x + Math.cos(angle) * 20;
+      const y0 = p.y + Math.sin(angle) * 20;
+      const end = this.traceBeam(x0, y0, angle, spec.length ?? 1100, width / 2);
+
+      const targets = State.enemies
+        .filter(e => !e.dead && Collision.segmentCircleDist(x0, y0, end.x, end.y, e.x, e.y) < e.size + width / 2)
+        .sort((a, b) => Math.hypot(a.x - x0, a.y - y0) - Math.hypot(b.x - x0, b.y - y0))
+        .slice(0, 1 + p.piercing);
+
+      for (const e of targets) {
+        Bullets.hitEnemy(e, e.x, e.y, hit);
+        Particles.sparks(e.x, e.y, spec.color || '#aaddff', 6);
+      }
+      if (end.obstacle?.destructible) Obstacles.damage(end.obstacle, hit.damage);
+      else if (end.obstacle) Particles.sparks(end.x, end.y, spec.color || '#aaddff', 5);
+
+      this.beams.push({ x0, y0, x1: end.x, y1: end.y, width, color: spec.color || '#aaddff', life: 0.15, maxLife: 0.15 });
+    }
+  },
+
+  // March along the beam until it meets an obstacle
+  traceBeam(x0, y0, angle, length, radius) {
+    const step = this.getConfig().beamStep ?? 12;
+    const dx = Math.cos(angle), dy = Math.sin(angle);
+    for (let d = step; d < length; d += step) {
+      const hit = Collision.hitObstacle(x0 + dx * d, y0 + dy * d, radius);
+      if (hit) return { x: x0 + dx * d, y: y0 + dy * d, obstacle: hit.obstacle };
+    }
+    return { x: x0 + dx * length, y: y0 + dy * length, obstacle: null };
+  },
+
+  // Nova: ring that expands from the ship and hits each enemy once.
+  // It has no aim, so accuracy extends its reach instead.
+  fireNova(spec) {
+    const p = State.player;
+    const reach = 1 + (1 - this.accuracyMult()) * (this.getConfig().novaAccuracyReach ?? 0.5);
+    this.novas.push({
+      x: p.x, y: p.y,
+      radius: 10,
+      maxRadius: ((spec.radius ?? 140) + (p.aoeRadius || 0)) * reach,
+      speed: spec.speed ?? 600,
+      hit: this.rollHit(spec.damageMult ?? 1),
+      struck: new Set(),
+      color: spec.color || '#cc88ff'
+    });
+    Particles.ring(p.x, p.y, spec.color || '#cc88ff', 25);
+  },
+
+  // Charged slug: damage, size and pierce grow with charge
+  fireCharged(spec, charge) {
+    const p = State.player;
+    const full = charge >= 1;
+    this.shoot(spec, p.angle + this.aimJitter(spec), {
+      damageMult: 1 + ((spec.maxMult ?? 4) - 1) * charge,
+      size: (spec.size ?? 5) * (1 + ((spec.sizeMult ?? 2.5) - 1) * charge),
+      speedMult: 1 + charge * 0.5,
+      pierce: full ? (spec.fullPierce ?? 2) : 0
+    });
+    if (full) {
+      Particles.ring(p.x, p.y, spec.color || '#ffdd66', 30);
+      State.modules?.Camera?.triggerShake?.(3, 0.1);
+    }
+  },
+
+  // ========== EFFECTS ==========
+
+  updateEffects(dt) {
+    for (let i = this.beams.length - 1; i >= 0; i--) {
+      this.beams[i].life -= dt;
+      if (this.beams[i].life <= 0) this.beams.splice(i, 1);
+    }
+
+    for (let i = this.novas.length - 1; i >= 0; i--) {
+      const n = this.novas[i];
+      n.radius += n.speed * dt;
+      for (const e of State.enemies) {
+        if (e.dead || n.struck.has(e)) continue;
+        if (Math.hypot(e.x - n.x, e.y - n.y) < n.radius + e.size) {
+          n.struck.add(e);
+          Bullets.hitEnemy(e, e.x, e.y, n.hit);
+        }
+      }
+      if (n.radius >= n.maxRadius) this.novas.splice(i, 1);
+    }
+  },
+
+  clear() {
+    this.beams = [];
+    this.novas = [];
+    State.player.spin = 0;
+    State.player.charge = 0;
+  },
+
+  // ========== DRAWING ==========
+
+  // World-space: beams, novas and the charge indicator
+  draw(ctx) {
+    for (const b of this.beams) {
+      const a = b.life / b.maxLife;
+      ctx.globalAlpha = a;
+      ctx.strokeStyle = ctx.shadowColor = b.color;
+      ctx.shadowBlur = 12;
+      ctx.lineWidth = b.width * (0.5 + a);
+      ctx.beginPath();
+      ctx.moveTo(b.x0, b.y0);
+      ctx.lineTo(b.x1, b.y1);
+      ctx.stroke();
+      ctx.strokeStyle = '#ffffff';
+      ctx.lineWidth = b.width * 0.3;
+      ctx.stroke();
+    }
+    ctx.shadowBlur = 0;
+
+    for (const n of this.novas) {
+      ctx.globalAlpha = 0.8 * (1 - n.radius / n.maxRadius) + 0.1;
+      ctx.strokeStyle = n.color;
+      ctx.lineWidth = 4;
+      ctx.beginPath();
+      ctx.arc(n.x, n.y, n.radius, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    ctx.globalAlpha = 1;
+
+    // Charge glow at the muzzle
+    const p = State.player;
+    if (p.charge > 0) {
+      const spec = this.getSpec();
+      const mx = p.x + Math.cos(p.angle) * 24;
+      const my = p.y + Math.sin(p.angle) * 24;
+      ctx.fillStyle = ctx.shadowColor = spec.color || '#ffdd66';
+      ctx.shadowBlur = 15 * p.charge;
+      ctx.globalAlpha = 0.4 + 0.6 * p.charge;
+      ctx.beginPath();
+      ctx.arc(mx, my, 3 + 7 * p.charge, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.globalAlpha = 1;
+      ctx.shadowBlur = 0;
+    }
+  }
+};
+
+export default Weapons;
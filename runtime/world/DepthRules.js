@@ -7,6 +7,8 @@
 // Depth is the single progression axis. It drives difficulty and unlocks
 // new modifier rules at milestones. Active modifiers per zone are sampled
 // from the unlocked pool (weighted), so no run is the same.
+// Modifier definitions live in data/modifiers.json; acts can restrict the
+// pool (modifiers.pool) and override any field (modifiers.overrides).
 //
 // Copyright (c) Manfred Foissner. All rights reserved.
 // License: See LICENSE.txt in the project root.
@@ -15,20 +17,12 @@ import { State } from '../State.js';
 
 function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
 
-// Default modifier pool (can be overridden per act via data/acts.json later)
-const DEFAULT_POOL = [
-  { id: 'ELITE_PACKS', weight: 1.2 },
-  { id: 'BULLET_HELL', weight: 0.9 },
-  { id: 'FAST_ENEMIES', weight: 1.1 },
-  { id: 'CRAMPED_ZONE', weight: 0.8 },
-  { id: 'MINEFIELD', weight: 1.0 },
-  { id: 'DENSE_OBSTACLES', weight: 0.9 },
-  { id: 'RICH_LOOT', weight: 0.6 }
-];
-
 // Milestones where we unlock a new modifier rule (hybrid)
 const UNLOCK_EVERY_DEPTH = 25;
 
+// Effects that take the strongest value instead of stacking multiplicatively
+const MAX_EFFECTS = new Set(['mineShare', 'elitePackShare']);
+
 export const DepthRules = {
 
   // Ensure meta schema exists
@@ -66,12 +60,10 @@ export const DepthRules = {
     const milestone = Math.floor(depth / UNLOCK_EVERY_DEPTH) * UNLOCK_EVERY_DEPTH;
     if (milestone <= last) return null;
 
-    const pool = (actConfig && actConfig.modifiers && Array.isArray(actConfig.modifiers.pool))
-      ? actConfig.modifiers.pool
-      : DEFAULT_POOL;
+    const pool = this.getPool(actConfig);
 
     const unlockedSet = new Set(State.meta.depth.unlocked);
-    const candidates = pool.filter(m => !unlockedSet.has(m.id));
+    const candidates = pool.filter(m => !unlockedSet.has(m.id) && m.unlockDepth <= depth);
     if (candidates.length === 0) {
       State.meta.depth.lastUnlockAt = milestone;
       return null;
@@ -87,19 +79,17 @@ export const DepthRules = {
   sampleActive(depth, actConfig = null, rng = null) {
     this.ensureMeta();
 
-    const pool = (actConfig && actConfig.modifiers && Array.isArray(actConfig.modifiers.pool))
-      ? actConfig.modifiers.pool
-      : DEFAULT_POOL;
+    const pool = this.getPool(actConfig);
 
     // Baseline rules that can always appear (even at depth 1)
     const baseline = (actConfig && actConfig.modifiers && Array.isArray(actConfig.modifiers.baseline))
       ? actConfig.modifiers.baseline
-      : ['ELITE_PACKS'];
+      : pool.filter(m => m.baseline).map(m => m.id);
 
     const unlocked = new Set(State.meta.depth.unlocked);
     for (const b of baseline) unlocked.add(b);
 
-    const available = pool.filter(m => unlocked.has(m.id));
+    const available = pool.filter(m => unlocked.has(m.id) && m.unlockDepth <= depth);
     if (available.length === 0) return [];
 
     const slots = clamp(this.modifierSlots(depth), 0, 8);
@@ -108,7 +98,7 @@ export const DepthRules = {
 
     // If rng is provided, modifier sampling is deterministic for the zone/run
     for (let i = 0; i < slots; i++) {
-      const cand = available.filter(m => !used.has(m.id));
+      const cand = available.filter(m => !used.has(m.id) && !picked.some(id => this.isIncompatible(m.id, id, actConfig)));
       if (cand.length === 0) break;
       const p = this.weightedPick(cand, rng);
       picked.push(p.id);
@@ -128,6 +118,84 @@ export const DepthRules = {
     return list[list.length - 1];
   },
 
+  // ========== EFFECTS ==========
+
+  // Modifier definition (modifiers.json) merged with per-act overrides
+  // (acts.json modifiers.overrides[id]); act effects replace matching keys
+  getModifier(id, actConfig = null) {
+    const base = State.data.modifiers?.[id] || {};
+    const over = actConfig?.modifiers?.overrides?.[id] || {};
+    return {
+      id,
+      name: over.name || base.name || id,
+      icon: over.icon || base.icon || '',
+      description: over.description || base.description || '',
+      weight: over.weight ?? base.weight ?? 1,
+      unlockDepth: over.unlockDepth ?? base.unlockDepth ?? 1,
+      baseline: over.baseline ?? base.baseline ?? false,
+      incompatible: over.incompatible || base.incompatible || [],
+      effects: { ...(base.effects || {}), ...(over.effects || {}) },
+      reward: { ...(base.reward || {}), ...(over.reward || {}) }
+    };
+  },
+
+  // Modifiers an act can roll: acts.json modifiers.pool ([{ id, weight? }])
+  // or every entry in modifiers.json
+  getPool(actConfig = null) {
+    const actPool = actConfig?.modifiers?.pool;
+    const entries = Array.isArray(actPool)
+      ? actPool
+      : Object.keys(State.data.modifiers || {}).map(id => ({ id }));
+
+    return entries.map(entry => {
+      const mod = this.getModifier(entry.id, actConfig);
+      if (typeof entry.weight === 'number') mod.weight = entry.weight;
+      return mod;
+    });
+  },
+
+  // Incompatibility is symmetric: either side may declare it
+  isIncompatible(a, b, actConfig = null) {
+    return this.getModifier(a, actConfig).incompatible.includes(b)
+      || this.getModifier(b, actConfig).incompatible.includes(a);
+  },
+
+  // Combined effects for a set of active modifiers (multipliers stack)
+  resolveEffects(mods, actConfig = null) {
+    const out = {};
+    for (const id of mods || []) {
+      const fx = this.getModifier(id, actConfig).effects;
+      for (const [key, v] of Object.entries(fx)) {
+        if (typeof v !== 'number') continue;
+        if (MAX_EFFECTS.has(key)) out[key] = Math.max(out[key] ?? 0, v);
+        else out[key] = (out[key] ?? 1) * v;
+      }
+    }
+    return out;
+  },
+
+  // Effect value for the current zone (1 = no change)
+  effect(key, fallback = 1) {
+    return State.world?.currentZone?.modEffects?.[key] ?? fallback;
+  },
+
+  // ========== REWARDS ==========
+
+  // Risk/reward: each active modifier adds its reward bonus (quantity, rarity, xp)
+  resolveRewards(mods, actConfig = null) {
+    const out = { quantity: 0, rarity: 0, xp: 0 };
+    for (const id of mods || []) {
+      const reward = this.getModifier(id, actConfig).reward;
+      for (const key of Object.keys(out)) out[key] += reward[key] || 0;
+    }
+    return out;
+  },
+
+  // Reward multiplier for the current zone (1 = no bonus)
+  reward(key) {
+    return 1 + (State.world?.currentZone?.modRewards?.[key] ?? 0);
+  },
+
   // Convenience: update best depth
   recordDepth(depth) {
     this.ensureMeta();
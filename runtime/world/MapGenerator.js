@@ -9,6 +9,9 @@
 
 import { SeededRandom } from './SeededRandom.js';
 import { State } from '../State.js';
+import { DepthRules } from './DepthRules.js';
+import { seedFromParts } from './SeedUtil.js';
+import { SpawnGrid } from './SpawnGrid.js';
 
 export const MapGenerator = {
   
@@ -35,8 +38,7 @@ export const MapGenerator = {
     const mods = options.mods || [];
 
     // Apply depth & modifiers to generation parameters (combinatorial, no run is the same)
-    const modSet = new Set(mods);
-    const scale = (v, mult) => v * mult;
+    const fx = DepthRules.resolveEffects(mods, actConfig);
 
     // Base depth ramps (gentle; combat scaling handled elsewhere)
     const depthEnemyMult = 1 + Math.min(depth * 0.012, 1.6);  // up to +160%
@@ -47,14 +49,11 @@ export const MapGenerator = {
     let eliteDensity = (cfg.eliteDensity || 0.00008) * depthEliteMult;
     let obstacleDensity = (cfg.obstacleDensity || 0.0002) * depthObsMult;
 
-    // Modifier effects (kept small but cumulative)
-    if (modSet.has('BULLET_HELL')) enemyDensity = scale(enemyDensity, 1.35);
-    if (modSet.has('ELITE_PACKS')) eliteDensity = scale(eliteDensity, 1.55);
-    if (modSet.has('FAST_ENEMIES')) enemyDensity = scale(enemyDensity, 1.10);
-    if (modSet.has('DENSE_OBSTACLES')) obstacleDensity = scale(obstacleDensity, 1.35);
-    if (modSet.has('MINEFIELD')) obstacleDensity = scale(obstacleDensity, 1.15);
-    let crampedMult = 1.0;
-    if (modSet.has('CRAMPED_ZONE')) crampedMult = 0.85;
+    // Modifier effects (modifiers.json, kept small but cumulative)
+    enemyDensity *= fx.enemyDensity ?? 1;
+    eliteDensity *= fx.eliteDensity ?? 1;
+    obstacleDensity *= fx.obstacleDensity ?? 1;
+    const crampedMult = fx.zoneSize ?? 1;
     
     // Zone dimensions
     let width = pickRange(cfg.width, 1500, 3000);
@@ -137,6 +136,15 @@ export const MapGenerator = {
     // Generate exit opposite to spawn
     zone.exit = this.generateExitPoint(rngMeso, zone.spawn, width, height);
     
+    // Generate obstacles (before spawns so turrets can find chokepoints)
+    zone.obstacles = this.generateObstacles(
+      rngMeso,
+      obstacleDensity,
+      width,
+      height,
+      { depth, effects: fx, layout, keepClear: [zone.spawn, zone.exit] }
+    );
+    
     // Generate enemy spawns based on act config
     zone.enemySpawns = this.generateEnemySpawns(
       rngMicro, 
@@ -149,6 +157,14 @@ export const MapGenerator = {
       { layout }
     );
     
+    // Stationary enemies (turrets) guard gaps between obstacles
+    this.placeStationarySpawns(
+      new SeededRandom(seedFromParts(seeds.micro ?? zoneSeed, 'TURRETS')),
+      zone.enemySpawns,
+      zone.obstacles,
+      zone.spawn
+    );
+    
     // Generate elite spawns
     zone.eliteSpawns = this.generateEliteSpawns(
       rngMicro,
@@ -158,13 +174,11 @@ export const MapGenerator = {
       height
     );
     
-    // Generate obstacles
-    zone.obstacles = this.generateObstacles(
-      rngMeso,
-      obstacleDensity,
-      width,
-      height,
-      { depth, mods, layout }
+    // Packs: leaders with followers in formation (ELITE_PACKS makes elites lead them)
+    zone.packs = this.generatePacks(
+      new SeededRandom(seedFromParts(seeds.micro ?? zoneSeed, 'PACKS')),
+      zone,
+      fx
     );
     
     // Generate decorations
@@ -304,6 +318,132 @@ export const MapGenerator = {
     return spawns;
   },
   
+  // Gaps between two obstacles that are narrow enough to funnel movement
+  findChokepoints(obstacles) {
+    const cfg = State.data.config?.archetypes || {};
+    const gapMin = cfg.chokeGapMin ?? 50;
+    const gapMax = cfg.chokeGapMax ?? 220;
+    const points = [];
+
+    for (let i = 0; i < obstacles.length; i++) {
+      const a = obstacles[i];
+      for (let j = i + 1; j < obstacles.length; j++) {
+        const b = obstacles[j];
+        const d = Math.hypot(b.x - a.x, b.y - a.y);
+        const gap = d - a.radius - b.radius;
+        if (gap < gapMin || gap > gapMax) continue;
+        // Midpoint of the open gap, plus the gap axis for placement
+        const t = (a.radius + gap / 2) / d;
+        points.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, nx: (b.x - a.x) / d, ny: (b.y - a.y) / d });
+      }
+    }
+    return points;
+  },
+
+  // Move spawns of stationary enemy types next to chokepoints
+  placeStationarySpawns(rng, spawns, obstacles, playerSpawn) {
+    const stationary = spawns.filter(s => this.isStationaryType(s.type));
+    if (stationary.length === 0) return;
+
+    const offset = State.data.config?.archetypes?.turretOffset ?? 80;
+    const points = this.findChokepoints(obstacles)
+      .filter(p => Math.hypot(p.x - playerSpawn.x, p.y - playerSpawn.y) > 350);
+
+    for (const s of stationary) {
+      s.patrol = 'static';
+      s.patrolRadius = 0;
+      if (points.length === 0) continue;
+
+      // Sit beside the gap (perpendicular to its axis) so it stays passable
+      const p = points.splice(rng.int(0, points.length - 1), 1)[0];
+      const side = rng.chance(0.5) ? 1 : -1;
+      s.x = p.x - p.ny * offset * side;
+      s.y = p.y + p.nx * offset * side;
+    }
+  },
+
+  isStationaryType(type) {
+    const enemies = State.data.enemies || {};
+    return !!(enemies.basic?.[type]?.stationary || enemies.elite?.[type]?.stationary);
+  },
+
+  // Turn some spawn points into pack leaders and recruit the nearest free
+  // regular spawns as followers (so packs don't inflate enemy counts).
+  // World activates the whole pack when any member comes into range.
+  generatePacks(rng, zone, fx = {}) {
+    const cfg = State.data.config?.packs || {};
+    const packs = {};
+    const spacing = cfg.spacing ?? 55;
+    const recruitRadius = cfg.recruitRadius ?? 450;
+    const formations = cfg.formations || ['wedge', 'ring', 'line'];
+    const pickCount = (v, min, max) => Array.isArray(v) ? rng.int(v[0], v[1]) : rng.int(min, max);
+    const isFree = s => !s.packId && !this.isStationaryType(s.type);
+
+    const grid = new SpawnGrid(recruitRadius);
+    grid.build(zone.enemySpawns);
+
+    const makePack = (leader, elite) => {
+      const want = elite ? pickCount(cfg.eliteFollowers, 3, 5) : pickCount(cfg.followers, 2, 3);
+      const recruits = grid.query(leader.x, leader.y, recruitRadius)
+        .filter(s => s !== leader && isFree(s) && Math.hypot(s.x - leader.x, s.y - leader.y) < recruitRadius)
+        .sort((a, b) => Math.hypot(a.x - leader.x, a.y - leader.y) - Math.hypot(b.x - leader.x, b.y - leader.y))
+        .slice(0, want);
+      if (recruits.length === 0) return;
+
+      const id = 'pack_' + Object.keys(packs).length;
+      const count = recruits.length;
+      const formation = rng.pick(formations);
+      Object.assign(leader, { packId: id, packRole: 'leader', packSlot: 0, packSize: count + 1 });
+      if (elite) leader.elite = true;
+
+      const pack = { id, formation, leader, members: [leader] };
+      recruits.forEach((f, idx) => {
+        const i = idx + 1;
+        const off = this.formationOffset(formation, i, count, spacing);
+        Object.assign(f, {
+          x: Math.max(50, Math.min(zone.width - 50, leader.x + off.x)),
+          y: Math.max(50, Math.min(zone.height - 50, leader.y + off.y)),
+          patrol: 'static',
+          patrolRadius: 0,
+          packId: id,
+          packRole: 'follower',
+          packSlot: i,
+          packSize: count + 1,
+          packOffset: off
+        });
+        pack.members.push(f);
+      });
+      packs[id] = pack;
+    };
+
+    // Elite-led packs first (ELITE_PACKS) so they get first pick of followers
+    const eliteShare = fx.elitePackShare ?? 0;
+    for (const s of zone.eliteSpawns) {
+      if (eliteShare > 0 && rng.chance(eliteShare)) makePack(s, true);
+    }
+    for (const s of zone.enemySpawns) {
+      if (isFree(s) && rng.chance(cfg.chance ?? 0.12)) makePack(s, false);
+    }
+    return packs;
+  },
+
+  // Follower offset from the leader for a formation
+  formationOffset(formation, i, count, spacing) {
+    const row = Math.ceil(i / 2);
+    const side = i % 2 ? 1 : -1;
+    switch (formation) {
+      case 'ring': {
+        const a = ((i - 1) / count) * Math.PI * 2;
+        return { x: Math.cos(a) * spacing, y: Math.sin(a) * spacing };
+      }
+      case 'line':
+        return { x: side * row * spacing, y: 0 };
+      case 'wedge':
+      default:
+        return { x: side * row * spacing * 0.8, y: row * spacing };
+    }
+  },
+
   // Elite spawn positions
   generateEliteSpawns(rng, pool, density, w, h) {
     const spawns = [];
@@ -326,31 +466,41 @@ export const MapGenerator = {
   generateObstacles(rng, density, w, h, options = {}) {
     const obstacles = [];
     const depth = options.depth || 1;
-    const mods = options.mods || [];
-    const modSet = new Set(mods);
+    const fx = options.effects || {};
+    const mineShare = fx.mineShare ?? 0;
+    const hpMult = fx.obstacleHP ?? 1;
+    const damageMult = fx.obstacleDamage ?? 1;
 
     const layout = options.layout || 'OPEN';
+    const keepClear = options.keepClear || [];
+    const clearRadius = State.data.config?.collision?.spawnClearRadius ?? 150;
 
     const count = Math.floor(w * h * density);
     
     for (let i = 0; i < count; i++) {
-      const typePool = modSet.has('MINEFIELD') ? ['asteroid','debris','mine','mine'] : ['asteroid','debris'];
-      const type = rng.pick(typePool);
+      const type = (mineShare > 0 && rng.chance(mineShare)) ? 'mine' : rng.pick(['asteroid','debris']);
+      const x = (() => {
+        if (layout === 'CORRIDOR' && rng.chance(0.6)) {
+          // Corridor: bias obstacles to the sides to keep lanes readable
+          return rng.chance(0.5) ? rng.range(100, w * 0.25) : rng.range(w * 0.75, w - 100);
+        }
+        return rng.range(100, w - 100);
+      })();
+      const y = rng.range(100, h - 100);
+      const radius = type === 'asteroid' ? rng.int(30, 80) : rng.int(15, 30);
+
+      // Obstacles are solid: never wall in the spawn or the exit
+      if (keepClear.some(p => p && Math.hypot(x - p.x, y - p.y) < clearRadius + radius)) continue;
+
       obstacles.push({
-        x: (() => {
-          if (layout === 'CORRIDOR' && rng.chance(0.6)) {
-            // Corridor: bias obstacles to the sides to keep lanes readable
-            return rng.chance(0.5) ? rng.range(100, w * 0.25) : rng.range(w * 0.75, w - 100);
-          }
-          return rng.range(100, w - 100);
-        })(),
-        y: rng.range(100, h - 100),
+        x: x,
+        y: y,
         type: type,
-        radius: type === 'asteroid' ? rng.int(30, 80) : rng.int(15, 30),
+        radius: radius,
         rotation: rng.range(0, Math.PI * 2),
         destructible: true,
-        hp: type === 'asteroid' ? rng.int(25, 60) : (type === 'mine' ? 6 : 12),
-        damage: type === 'mine' ? (8 + Math.floor(depth * 0.25)) : 0
+        hp: type === 'mine' ? 6 : Math.round((type === 'asteroid' ? rng.int(25, 60) : 12) * hpMult),
+        damage: type === 'mine' ? Math.round((8 + Math.floor(depth * 0.25)) * damageMult) : 0
       });
     }
     
@@ -14,6 +14,17 @@ import { DepthRules } from './DepthRules.js';
 import { SpawnGrid } from './SpawnGrid.js';
 import { Freshness } from './Freshness.js';
 import { seedFromParts } from './SeedUtil.js';
+import { Collision } from '../Collision.js';
+import { Boss } from '../Boss.js';
+import { BulletPatterns } from '../BulletPatterns.js';
+import { EliteAffixes } from '../EliteAffixes.js';
+import { Archetypes } from '../Archetypes.js';
+import { StatusEffects } from '../StatusEffects.js';
+import { Weapons } from '../Weapons.js';
+import { Secondary } from '../Secondary.js';
+import { Drones } from '../Drones.js';
+import { Dash } from '../Dash.js';
+import { ActiveSkills } from '../ActiveSkills.js';
 
 export const World = {
   currentZone: null,
@@ -145,6 +156,8 @@ export const World = {
 
     this.currentZone.depth = depth;
     this.currentZone.mods = activeMods;
+    this.currentZone.modEffects = DepthRules.resolveEffects(activeMods, this.currentAct);
+    this.currentZone.modRewards = DepthRules.resolveRewards(activeMods, this.currentAct);
     this.currentZone.layout = layout;
     this.currentZone.backdrop = backdrop;
     this.currentZone.signature = zoneSignature;
@@ -159,6 +172,16 @@ export const World = {
     this.enemyGrid.build(this.currentZone.enemySpawns || []);
     this.eliteGrid = new SpawnGrid(cellSize);
     this.eliteGrid.build(this.currentZone.eliteSpawns || []);
+    Collision.buildObstacleGrid(this.currentZone.obstacles || []);
+    BulletPatterns.clear();
+    EliteAffixes.clear();
+    Archetypes.clear();
+    StatusEffects.clear(State.player);
+    Weapons.clear();
+    Secondary.clear();
+    Drones.clear();
+    Dash.clear();
+    ActiveSkills.clear();
 
     this.zoneIndex = index;
     this.activeEnemies = [];
@@ -226,6 +249,7 @@ export const World = {
     }
 
     // Despawn active enemies if too far
+    this.activeEnemies = this.activeEnemies.filter(e => e && !e.dead);
     for (const enemy of [...this.activeEnemies]) {
       if (!enemy || enemy.dead || !enemy.spawnRef) continue;
       const dist = Math.hypot(player.x - enemy.x, player.y - enemy.y);
@@ -273,9 +297,6 @@ export const World = {
         this.onPortalEnter(portal);
       }
     }
-    
-    // Update patrol behavior for active enemies
-    this.updateEnemyPatrols(dt);
   },
   // Spawn regular enemy
   spawnEnemy(spawn, isElite = false) {
@@ -289,6 +310,9 @@ export const World = {
     const depth = State.world?.currentZone?.depth || (State.meta.level || 1);
     enemy.level = depth;
 
+    // Elite affixes (deterministic per spawn from the encounters seed)
+    if (isElite) EliteAffixes.apply(enemy, EliteAffixes.roll(spawn, depth), depth);
+
     // Patrol setup (deterministic per zone if rngEncounters is present)
     enemy.patrol = spawn.patrol;
     enemy.patrolRadius = spawn.patrolRadius;
@@ -300,6 +324,33 @@ export const World = {
     spawn.enemyId = enemy.id;
 
     this.activeEnemies.push(enemy);
+
+    // Pack members activate together and share a leader
+    if (spawn.packId) {
+      enemy.packId = spawn.packId;
+      enemy.packRole = spawn.packRole;
+      enemy.packSlot = spawn.packSlot;
+      enemy.packSize = spawn.packSize;
+      enemy.packOffset = spawn.packOffset || null;
+      this.spawnPack(spawn.packId);
+      this.linkPack(spawn.packId);
+    }
+  },
+
+  // Spawn every inactive member of a pack
+  spawnPack(packId) {
+    const pack = this.currentZone.packs?.[packId];
+    if (!pack) return;
+    for (const m of pack.members) {
+      if (!m.active && !m.killed) this.spawnEnemy(m, !!m.elite);
+    }
+  },
+
+  // Point live pack members at their leader (null once the leader is gone)
+  linkPack(packId) {
+    const members = this.activeEnemies.filter(e => e.packId === packId && !e.dead);
+    const leader = members.find(e => e.packRole === 'leader') || null;
+    for (const m of members) m.packLeader = leader;
   },
   // Spawn boss
   spawnBoss(spawn) {
@@ -314,26 +365,38 @@ export const World = {
     spawn.active = true;
     spawn.enemyId = enemy.id;
 
-    // Announce boss
-    State.ui?.showAnnouncement?.(`⚠️ ${enemy.name || 'BOSS'} APPEARS!`);
+    // Phase script from enemies.json (also announces the boss)
+    Boss.attach(enemy);
 
     this.activeEnemies.push(enemy);
   },
 
   
+  // Track a summoned minion (despawns together with its summoner)
+  trackMinion(minion, owner) {
+    minion.summonerId = owner.id;
+    this.activeEnemies.push(minion);
+  },
+
   // Despawn enemy (too far)
   despawnEnemy(spawn) {
-    // Remove from State.enemies
+    // Remove from State.enemies (with any minions it summoned)
     const idx = State.enemies.findIndex(e => e.id === spawn.enemyId);
+    const packId = idx !== -1 ? State.enemies[idx].packId : null;
     if (idx !== -1) {
       State.enemies.splice(idx, 1);
     }
+    State.enemies = State.enemies.filter(e => !e.summonerId || e.summonerId !== spawn.enemyId);
+    this.activeEnemies = this.activeEnemies.filter(e => !e.summonerId || e.summonerId !== spawn.enemyId);
     
     spawn.active = false;
     spawn.enemyId = null;
     
     // Remove from active list
     this.activeEnemies = this.activeEnemies.filter(e => e.spawnRef !== spawn);
+    
+    // Members left behind drop a despawned leader
+    if (packId) this.linkPack(packId);
   },
   
   // Called when enemy dies
@@ -380,47 +443,6 @@ export const World = {
     }
   },
   
-  // Update enemy patrol behavior
-  updateEnemyPatrols(dt) {
-    for (const enemy of this.activeEnemies) {
-      if (!enemy.patrol || enemy.dead) continue;
-      
-      switch (enemy.patrol) {
-        case 'circle':
-          enemy.patrolAngle += dt * 0.5;
-          enemy.x = enemy.patrolOrigin.x + Math.cos(enemy.patrolAngle) * enemy.patrolRadius;
-          enemy.y = enemy.patrolOrigin.y + Math.sin(enemy.patrolAngle) * enemy.patrolRadius;
-          break;
-          
-        case 'line':
-          enemy.patrolAngle += dt * 0.8;
-          enemy.x = enemy.patrolOrigin.x + Math.sin(enemy.patrolAngle) * enemy.patrolRadius;
-          break;
-          
-        case 'wander':
-          // Random direction changes
-          if (Math.random() < dt * 0.5) {
-            enemy.vx = (Math.random() - 0.5) * enemy.speed;
-            enemy.vy = (Math.random() - 0.5) * enemy.speed;
-          }
-          // Stay near origin
-          const dist = Math.hypot(
-            enemy.x - enemy.patrolOrigin.x,
-            enemy.y - enemy.patrolOrigin.y
-          );
-          if (dist > enemy.patrolRadius) {
-            const angle = Math.atan2(
-              enemy.patrolOrigin.y - enemy.y,
-              enemy.patrolOrigin.x - enemy.x
-            );
-            enemy.vx = Math.cos(angle) * enemy.speed * 0.5;
-            enemy.vy = Math.sin(angle) * enemy.speed * 0.5;
-          }
-          break;
-      }
-    }
-  },
-  
   // Draw zone elements (obstacles, decorations)
   draw(ctx, screenW, screenH) {
     if (!this.currentZone) return;
@@ -438,16 +460,18 @@ export const World = {
     
     // Draw obstacles
     for (const obs of this.currentZone.obstacles) {
+      if (obs.destroyed) continue;
       if (!Camera.isVisible(obs.x, obs.y, 100, screenW, screenH)) continue;
       
       ctx.save();
       ctx.translate(obs.x, obs.y);
       ctx.rotate(obs.rotation || 0);
+      const flash = obs.hitFlash > 0;
       
       // Draw based on type
       switch (obs.type) {
         case 'asteroid':
-          ctx.fillStyle = '#555566';
+          ctx.fillStyle = flash ? '#aaaabb' : '#555566';
           ctx.beginPath();
           ctx.arc(0, 0, obs.radius, 0, Math.PI * 2);
           ctx.fill();
@@ -457,12 +481,17 @@ export const World = {
           break;
           
         case 'debris':
-          ctx.fillStyle = '#444455';
+          ctx.fillStyle = flash ? '#9999aa' : '#444455';
           ctx.fillRect(-obs.radius, -obs.radius/2, obs.radius*2, obs.radius);
           break;
           
-        case 'mine':
-          ctx.fillStyle = '#ff4444';
+        case 'mine': {
+          // Armed mines blink faster as the fuse runs out
+          const armed = obs.triggered && obs.fuseMax > 0;
+          const progress = armed ? 1 - Math.max(0, obs.fuse) / obs.fuseMax : 0;
+          const blink = armed && Math.sin(Date.now() / (60 - progress * 40)) > 0;
+
+          ctx.fillStyle = blink ? '#ffffff' : '#ff4444';
           ctx.beginPath();
           ctx.arc(0, 0, obs.radius, 0, Math.PI * 2);
           ctx.fill();
@@ -470,7 +499,21 @@ export const World = {
           ctx.beginPath();
           ctx.arc(0, 0, obs.radius * 0.4, 0, Math.PI * 2);
           ctx.fill();
+
+          // Blast radius telegraph
+          if (armed) {
+            ctx.strokeStyle = `rgba(255, 80, 40, ${0.3 + progress * 0.5})`;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(0, 0, obs.blastRadius, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.fillStyle = `rgba(255, 60, 20, ${progress * 0.2})`;
+            ctx.beginPath();
+            ctx.arc(0, 0, obs.blastRadius * progress, 0, Math.PI * 2);
+            ctx.fill();
+          }
           break;
+        }
           
         case 'pillar':
           ctx.fillStyle = '#667788';